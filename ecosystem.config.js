@@ -6,13 +6,20 @@ module.exports = {
     exec_mode: 'cluster',
     watch: false,
     max_memory_restart: '1G',
+    // development keeps presence in memory: run a single instance (pm2 start ecosystem.config.js -i 1)
     env: {
       NODE_ENV: 'development',
-      PORT: 3001
+      PORT: 3001,
+      PRESENCE_STORE: 'memory'
     },
+    // cluster instances share presence/session state through MongoDB (see functions/presenceStore.js).
+    // pm2 has no sticky sessions, so socket.io's HTTP long-polling needs a sticky load balancer in
+    // front (e.g. nginx ip_hash), or SOCKET_WEBSOCKET_ONLY=true once every client connects with
+    // transports: ['websocket']
     env_production: {
       NODE_ENV: 'production',
-      PORT: 3001
+      PORT: 3001,
+      PRESENCE_STORE: 'mongo'
     },
     error_file: './logs/err.log',
     out_file: './logs/out.log',
@@ -0,0 +1,361 @@
+/**
+ * agents.js
+ * Support team of an owner account and conversation assignment
+ * Agents belong to one owner; supervisors (and the owner account itself) see
+ * every conversation, agents see the conversations assigned to them plus the
+ * unassigned ones. New conversations are assigned round-robin or to the least
+ * busy online agent, depending on the owner's team settings
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const ROLES = ['agent', 'supervisor'];
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_busy', 'manual'];
+const DEFAULT_STRATEGY = 'round_robin';
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('agents').createIndex({ ownerId: 1, active: 1 });
+    await db.collection('chats').createIndex({ ownerId: 1, assignedAgentId: 1 });
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toAgent(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function toObjectId(agentId) {
+  return ObjectId.isValid(agentId) ? new ObjectId(agentId) : null;
+}
+
+/**
+ * Validate agent fields from a request body
+ * @param {object} body - { name, email, role }
+ * @param {boolean} partial - Only validate the fields that are present
+ * @returns {object} - Fields to store
+ */
+function parseAgentFields(body = {}, partial = false) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw httpError('name is required');
+    fields.name = body.name.trim().slice(0, 100);
+  }
+  if (body.email !== undefined) {
+    if (body.email !== null && typeof body.email !== 'string') throw httpError('email must be a string');
+    fields.email = body.email ? body.email.trim().toLowerCase() : null;
+  }
+  if (body.role !== undefined || !partial) {
+    const role = body.role === undefined ? 'agent' : body.role;
+    if (!ROLES.includes(role)) throw httpError(`role must be one of: ${ROLES.join(', ')}`);
+    fields.role = role;
+  }
+  if (partial && body.active !== undefined) fields.active = !!body.active;
+  return fields;
+}
+
+/**
+ * List an owner's agents
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} options - { includeInactive }
+ * @returns {Promise<Array>} - Agents
+ */
+async function listAgents(ownerId, { includeInactive = false } = {}) {
+  const database = await getDb();
+  const filter = { ownerId };
+  if (!includeInactive) filter.active = true;
+  const docs = await database.collection('agents').find(filter).sort({ createdAt: 1 }).toArray();
+  return docs.map(toAgent);
+}
+
+/**
+ * Get one agent of an owner
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} agentId - Agent id
+ * @returns {Promise<object|null>} - Agent or null
+ */
+async function getAgent(ownerId, agentId) {
+  const _id = toObjectId(agentId);
+  if (!_id) return null;
+  const database = await getDb();
+  return toAgent(await database.collection('agents').findOne({ _id, ownerId }));
+}
+
+/**
+ * Add an agent to an owner's team
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { name, email, role }
+ * @returns {Promise<object>} - Created agent
+ */
+async function createAgent(ownerId, body) {
+  const database = await getDb();
+  const doc = {
+    ...parseAgentFields(body),
+    ownerId,
+    active: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  const result = await database.collection('agents').insertOne(doc);
+  return toAgent({ ...doc, _id: result.insertedId });
+}
+
+/**
+ * Update an agent's name, email, role or active flag
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} agentId - Agent id
+ * @param {object} body - Fields to change
+ * @returns {Promise<object|null>} - Updated agent or null if not found
+ */
+async function updateAgent(ownerId, agentId, body) {
+  const _id = toObjectId(agentId);
+  if (!_id) return null;
+  const fields = parseAgentFields(body, true);
+  const database = await getDb();
+  const doc = await database.collection('agents').findOneAndUpdate(
+    { _id, ownerId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return toAgent(doc);
+}
+
+/**
+ * Deactivate an agent and release the conversations assigned to them
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} agentId - Agent id
+ * @returns {Promise<object|null>} - { agent, releasedUserIds } or null if not found
+ */
+async function deactivateAgent(ownerId, agentId) {
+  const agent = await updateAgent(ownerId, agentId, { active: false });
+  if (!agent) return null;
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const assigned = await chats.find({ ownerId, assignedAgentId: agent.id }, { projection: { userId: 1 } }).toArray();
+  if (assigned.length) {
+    await chats.updateMany({ ownerId, assignedAgentId: agent.id }, { $set: { assignedAgentId: null, assignedAt: null } });
+  }
+  return { agent, releasedUserIds: assigned.map(chat => chat.userId) };
+}
+
+/**
+ * Get an owner's team settings
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<object>} - { assignment }
+ */
+async function getTeamSettings(ownerId) {
+  const database = await getDb();
+  const doc = await database.collection('team_settings').findOne({ _id: ownerId });
+  return { assignment: (doc && doc.assignment) || DEFAULT_STRATEGY };
+}
+
+/**
+ * Update an owner's team settings
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { assignment: 'round_robin' | 'least_busy' | 'manual' }
+ * @returns {Promise<object>} - Updated settings
+ */
+async function updateTeamSettings(ownerId, body = {}) {
+  if (!ASSIGNMENT_STRATEGIES.includes(body.assignment)) {
+    throw httpError(`assignment must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+  }
+  const database = await getDb();
+  await database.collection('team_settings').updateOne(
+    { _id: ownerId },
+    { $set: { assignment: body.assignment, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return getTeamSettings(ownerId);
+}
+
+/**
+ * Get the agent a conversation is assigned to
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<string|null>} - Agent id or null when unassigned
+ */
+async function getAssignedAgentId(userId) {
+  const database = await getDb();
+  const chat = await database.collection('chats').findOne(
+    { userId },
+    { sort: { createdAt: -1 }, projection: { assignedAgentId: 1 } }
+  );
+  return (chat && chat.assignedAgentId) || null;
+}
+
+/**
+ * Pick the next agent among candidates
+ * @param {object} database - MongoDB database
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} strategy - 'round_robin' | 'least_busy'
+ * @param {Array<string>} candidates - Online agent ids
+ * @returns {Promise<string>} - Chosen agent id
+ */
+async function pickAgent(database, ownerId, strategy, candidates) {
+  const sorted = [...candidates].sort();
+  if (strategy === 'least_busy') {
+    const load = await database.collection('chats').aggregate([
+      { $match: { ownerId, assignedAgentId: { $in: sorted }, status: { $ne: 'resolved' } } },
+      { $group: { _id: '$assignedAgentId', count: { $sum: 1 } } },
+    ]).toArray();
+    const counts = new Map(load.map(row => [row._id, row.count]));
+    return sorted.reduce((best, id) => ((counts.get(id) || 0) < (counts.get(best) || 0) ? id : best), sorted[0]);
+  }
+
+  // round robin: a shared counter keeps the rotation consistent across processes
+  const settings = await database.collection('team_settings').findOneAndUpdate(
+    { _id: ownerId },
+    { $inc: { roundRobinCounter: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return sorted[(settings.roundRobinCounter - 1) % sorted.length];
+}
+
+/**
+ * Assign an unassigned conversation to one of the given online agents
+ * Does nothing when the conversation already has an agent or the owner assigns manually
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {Array<string>} onlineAgentIds - Agents that can take the conversation
+ * @returns {Promise<string|null>} - Assigned agent id, or null when nothing changed
+ */
+async function autoAssignConversation(ownerId, userId, onlineAgentIds) {
+  if (!ownerId || !onlineAgentIds.length) return null;
+  const { assignment } = await getTeamSettings(ownerId);
+  if (assignment === 'manual') return null;
+
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const chat = await chats.findOne({ userId, ownerId }, { sort: { createdAt: -1 }, projection: { assignedAgentId: 1 } });
+  if (!chat || chat.assignedAgentId) return null;
+
+  const agentId = await pickAgent(database, ownerId, assignment, onlineAgentIds);
+  const result = await chats.updateOne(
+    { _id: chat._id, $or: [{ assignedAgentId: null }, { assignedAgentId: { $exists: false } }] },
+    { $set: { assignedAgentId: agentId, assignedAt: new Date() } }
+  );
+  // another process assigned it first
+  return result.modifiedCount ? agentId : null;
+}
+
+/**
+ * Claim a conversation for an agent
+ * Agents can claim unassigned conversations; supervisors can take any of the owner's conversations
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} actor - { agentId, supervisor }
+ * @returns {Promise<object>} - { agentId, previousAgentId }
+ */
+async function claimConversation(ownerId, userId, { agentId, supervisor = false }) {
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const chat = await chats.findOne({ userId, ownerId }, { sort: { createdAt: -1 }, projection: { assignedAgentId: 1 } });
+  if (!chat) throw httpError('Conversation not found', 404);
+
+  const previousAgentId = chat.assignedAgentId || null;
+  if (previousAgentId === agentId) return { agentId, previousAgentId };
+  if (previousAgentId && !supervisor) throw httpError('Conversation is assigned to another agent', 409);
+
+  // only overwrite what we read, so two agents claiming at once cannot both win
+  const result = await chats.updateOne(
+    { _id: chat._id, assignedAgentId: chat.assignedAgentId },
+    { $set: { assignedAgentId: agentId, assignedAt: new Date() } }
+  );
+  if (!result.modifiedCount) throw httpError('Conversation was claimed by someone else', 409);
+  return { agentId, previousAgentId };
+}
+
+/**
+ * Release a conversation back to the team
+ * Allowed for the assigned agent and for supervisors
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} actor - { agentId, supervisor }
+ * @returns {Promise<object>} - { previousAgentId }
+ */
+async function unassignConversation(ownerId, userId, { agentId = null, supervisor = false }) {
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const chat = await chats.findOne({ userId, ownerId }, { sort: { createdAt: -1 }, projection: { assignedAgentId: 1 } });
+  if (!chat) throw httpError('Conversation not found', 404);
+
+  const previousAgentId = chat.assignedAgentId || null;
+  if (!previousAgentId) return { previousAgentId };
+  if (previousAgentId !== agentId && !supervisor) throw httpError('Conversation is assigned to another agent', 403);
+
+  await chats.updateOne({ _id: chat._id }, { $set: { assignedAgentId: null, assignedAt: null } });
+  return { previousAgentId };
+}
+
+/**
+ * Hand a conversation over to another agent of the same owner
+ * Allowed for the assigned agent, for any agent while it is unassigned, and for supervisors
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {string} toAgentId - Agent taking over
+ * @param {object} actor - { agentId, supervisor }
+ * @returns {Promise<object>} - { agent (new assignee), previousAgentId }
+ */
+async function transferConversation(ownerId, userId, toAgentId, { agentId = null, supervisor = false }) {
+  const agent = await getAgent(ownerId, toAgentId);
+  if (!agent || !agent.active) throw httpError('Agent not found', 404);
+
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const chat = await chats.findOne({ userId, ownerId }, { sort: { createdAt: -1 }, projection: { assignedAgentId: 1 } });
+  if (!chat) throw httpError('Conversation not found', 404);
+
+  const previousAgentId = chat.assignedAgentId || null;
+  if (previousAgentId === agent.id) throw httpError('Conversation is already assigned to this agent', 409);
+  if (previousAgentId && previousAgentId !== agentId && !supervisor) {
+    throw httpError('Conversation is assigned to another agent', 403);
+  }
+
+  const result = await chats.updateOne(
+    { _id: chat._id, assignedAgentId: chat.assignedAgentId },
+    { $set: { assignedAgentId: agent.id, assignedAt: new Date() } }
+  );
+  if (!result.modifiedCount) throw httpError('Conversation was reassigned meanwhile', 409);
+  return { agent, previousAgentId };
+}
+
+module.exports = {
+  ROLES,
+  ASSIGNMENT_STRATEGIES,
+  listAgents,
+  getAgent,
+  createAgent,
+  updateAgent,
+  deactivateAgent,
+  getTeamSettings,
+  updateTeamSettings,
+  getAssignedAgentId,
+  autoAssignConversation,
+  claimConversation,
+  unassignConversation,
+  transferConversation,
+  pickAgent,
+};
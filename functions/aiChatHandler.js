@@ -1,12 +1,20 @@
 /**
  * aiChatHandler.js
  * Main AI chat handler that manages AI responses in the chat flow
- * AI responds until admin/owner sends a message
+ * AI responds until admin/owner sends a message. The AI (handoff) state belongs to
+ * one owner's conversation session (chat document), so a visitor's new session, or
+ * their chat on another owner's site, starts with the AI answering again.
+ * Each state records why it changed (`reason`), who changed it and who took over when.
+ * When the team leaves a visitor waiting, the AI can take back over after the owner's
+ * idle time (auto-resume policy in aiSettings.js).
  */
 
 require('dotenv').config();
-const { MongoClient } = require('mongodb');
-const { getAiResponseWithContext } = require('./aiResponse');
+const { MongoClient, ObjectId } = require('mongodb');
+const { getAiResponseWithContext, searchOwnerKnowledge } = require('./aiResponse');
+const { evaluateEscalation } = require('./escalation');
+const { findConversation, getMessagesPage } = require('./messageStore');
+const { getAutoResumePolicy, autoResumeAllowed } = require('./aiSettings');
 
 // Mongo setup
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
@@ -15,6 +23,19 @@ const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
 let chatsCollection = null;
 let aiStateCollection = null;
 
+// Why the AI state last changed
+//   admin_reply - a team member wrote in the conversation
+//   manual      - reset (or switched off) through the API
+//   escalation  - the AI handed the visitor to a human (see escalation.js)
+//   auto_resume - nobody from the team replied in time, the AI took back over
+const AI_STATE_REASONS = ['admin_reply', 'manual', 'escalation', 'auto_resume'];
+
+// A resume that business hours hold back is checked again after this long
+const AUTO_RESUME_RETRY_MS = 5 * 60 * 1000;
+
+// Shown to the visitor when the AI hands the conversation to the team
+const HANDOFF_MESSAGE = "I'm bringing in a member of our team to help you with this. They'll reply here as soon as possible.";
+
 /**
  * Initialize MongoDB collections
  */
@@ -25,6 +46,11 @@ async function initMongo() {
     const db = client.db(MONGO_DB);
     chatsCollection = db.collection('chats');
     aiStateCollection = db.collection('ai_chat_state');
+    await aiStateCollection.createIndex(
+      { ownerId: 1, conversationId: 1 },
+      { unique: true, partialFilterExpression: { conversationId: { $type: 'string' } } }
+    );
+    await chatsCollection.createIndex({ autoResumeAt: 1 }, { sparse: true });
     console.log('[AI Handler] MongoDB connected');
   } catch (error) {
     console.error('[AI Handler] Mongo init error:', error);
@@ -34,17 +60,48 @@ async function initMongo() {
 // Initialize on module load
 initMongo();
 
+/**
+ * Find the chat document (session) the AI state applies to
+ * @param {string} userId - User's unique ID
+ * @param {object} scope - { conversationId (defaults to the user's current session), ownerId }
+ *   With an ownerId, a session of another owner is never used
+ * @returns {Promise<object|null>} - Chat document or null
+ */
+async function resolveConversation(userId, { conversationId = null, ownerId = null } = {}) {
+  let chat;
+  if (conversationId && chatsCollection && ObjectId.isValid(conversationId)) {
+    chat = await chatsCollection.findOne({ _id: new ObjectId(conversationId), userId });
+  } else {
+    chat = await findConversation(userId);
+  }
+  if (chat && ownerId && chat.ownerId && chat.ownerId !== ownerId) return null;
+  return chat;
+}
+
+/**
+ * Stored AI state of a session
+ * States written before sessions existed are keyed by userId only and are ignored until
+ * migrations/scopeAiChatState.js assigned them to their session
+ * @param {object} chat - Chat document
+ * @returns {Promise<object|null>} - State document or null
+ */
+async function findAiState(chat) {
+  return aiStateCollection.findOne({ ownerId: chat.ownerId || null, conversationId: chat._id.toString() });
+}
+
 /**
  * Check if AI should respond for a user
  * AI is active by default until admin sends a message
  * @param {string} userId - User's unique ID
+ * @param {object} scope - { conversationId, ownerId } (defaults to the current session)
  * @returns {Promise<boolean>} - True if AI should respond
  */
-async function shouldAiRespond(userId) {
+async function shouldAiRespond(userId, scope = {}) {
   if (!aiStateCollection) return true; // Default: AI is active
   
   try {
-    const state = await aiStateCollection.findOne({ userId });
+    const chat = await resolveConversation(userId, scope);
+    const state = chat ? await findAiState(chat) : null;
     
     // If no state exists, AI is active by default
     if (!state) {
@@ -60,99 +117,256 @@ async function shouldAiRespond(userId) {
 }
 
 /**
- * Set AI active state for a user
+ * Set AI active state for a user's session
  * @param {string} userId - User's unique ID
  * @param {boolean} isActive - Whether AI should be active
+ * @param {object} options - { conversationId, ownerId, reason (see AI_STATE_REASONS), by (agent id, 'owner', ...) }
+ * @returns {Promise<object|null>} - Stored state, or null when there is no matching session
  */
-async function setAiState(userId, isActive) {
-  if (!aiStateCollection) return;
+async function setAiState(userId, isActive, { conversationId = null, ownerId = null, reason = 'manual', by = null } = {}) {
+  if (!aiStateCollection) return null;
   
   try {
-    await aiStateCollection.updateOne(
-      { userId },
+    const chat = await resolveConversation(userId, { conversationId, ownerId });
+    if (!chat) return null;
+    const now = new Date();
+    const key = { ownerId: chat.ownerId || null, conversationId: chat._id.toString() };
+    const state = await aiStateCollection.findOneAndUpdate(
+      key,
       {
         $set: {
+          userId,
           aiActive: isActive,
-          lastUpdated: new Date(),
+          reason,
+          changedBy: by,
+          changedAt: now,
+          // who took over from the AI, cleared again when the AI is back
+          takenOverBy: isActive ? null : by,
+          takenOverAt: isActive ? null : now,
+          lastUpdated: now,
         },
       },
-      { upsert: true }
+      { upsert: true, returnDocument: 'after' }
     );
-    console.log(`[AI Handler] AI state for ${userId} set to ${isActive}`);
+    // mirror on the chat so conversation lists can filter AI vs human without a join;
+    // any change of hands also ends a pending auto-resume
+    if (chatsCollection) {
+      await chatsCollection.updateOne({ _id: chat._id }, { $set: { aiActive: isActive }, $unset: { autoResumeAt: '' } });
+    }
+    console.log(`[AI Handler] AI state for ${userId} (session ${chat._id}) set to ${isActive} (${reason})`);
+    return state;
   } catch (error) {
     console.error('[AI Handler] Error setting AI state:', error);
+    return null;
   }
 }
 
 /**
- * Deactivate AI when admin sends a message
+ * Deactivate AI (a human takes over)
  * @param {string} userId - User's unique ID
+ * @param {object} options - { conversationId, ownerId, reason, by }
+ * @returns {Promise<object|null>} - Stored state
  */
-async function deactivateAiForUser(userId) {
-  await setAiState(userId, false);
+async function deactivateAiForUser(userId, options = {}) {
+  return setAiState(userId, false, options);
 }
 
 /**
  * Activate AI for a user (e.g., when starting new chat)
  * @param {string} userId - User's unique ID
+ * @param {object} options - { conversationId, ownerId, reason, by }
+ * @returns {Promise<object|null>} - Stored state
+ */
+async function activateAiForUser(userId, options = {}) {
+  return setAiState(userId, true, options);
+}
+
+/**
+ * Start the auto-resume clock of a paused conversation the visitor wrote in
+ * The clock runs from the first unanswered visitor message; a team reply stops it (setAiState)
+ * @param {string} userId - User's unique ID
+ * @param {object} scope - { conversationId, ownerId }
+ * @returns {Promise<Date|null>} - When the AI takes over, or null when the owner opted out
+ */
+async function scheduleAutoResume(userId, { conversationId = null, ownerId = null } = {}) {
+  if (!chatsCollection || !ownerId) return null;
+  const policy = await getAutoResumePolicy(ownerId);
+  if (!policy.enabled) return null;
+  const chat = await resolveConversation(userId, { conversationId, ownerId });
+  if (!chat) return null;
+  const resumeAt = new Date(Date.now() + policy.idleMinutes * 60 * 1000);
+  const result = await chatsCollection.updateOne({ _id: chat._id, autoResumeAt: null }, { $set: { autoResumeAt: resumeAt } });
+  return result.modifiedCount ? resumeAt : chat.autoResumeAt;
+}
+
+/**
+ * The visitor message still waiting for an answer (system notices in between are skipped)
+ * @param {string} conversationId - Session id
+ * @returns {Promise<object|null>} - Message or null when the last word was not the visitor's
+ */
+async function findUnansweredMessage(conversationId) {
+  const { messages } = await getMessagesPage(conversationId, { limit: 10, includeInternal: false });
+  const last = messages.reverse().find(message => message.from !== 'system');
+  return last && last.from === 'user' ? last : null;
+}
+
+/**
+ * Give paused conversations whose auto-resume time passed back to the AI
+ * Each conversation is claimed by clearing its `autoResumeAt`, so with several processes only
+ * one resumes it. Inside business hours with 'outside_business_hours' the wait is put off by
+ * AUTO_RESUME_RETRY_MS and checked again; when the owner opted out since, it is dropped.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - { ownerId, userId, conversationId, idleMinutes, notice, pendingMessage }
  */
-async function activateAiForUser(userId) {
-  await setAiState(userId, true);
+async function resumeIdleConversations(now = new Date()) {
+  if (!chatsCollection) return [];
+  const due = await chatsCollection
+    .find({ autoResumeAt: { $lte: now } }, { projection: { userId: 1, ownerId: 1, autoResumeAt: 1, closedAt: 1, status: 1 } })
+    .sort({ autoResumeAt: 1 })
+    .limit(200)
+    .toArray();
+
+  const resumed = [];
+  for (const chat of due) {
+    const claim = await chatsCollection.updateOne(
+      { _id: chat._id, autoResumeAt: chat.autoResumeAt },
+      { $unset: { autoResumeAt: '' } }
+    );
+    if (!claim.modifiedCount || chat.closedAt || chat.status === 'resolved') continue;
+
+    const policy = await getAutoResumePolicy(chat.ownerId);
+    if (!autoResumeAllowed(policy, now)) {
+      if (policy.enabled) {
+        await chatsCollection.updateOne(
+          { _id: chat._id, autoResumeAt: null },
+          { $set: { autoResumeAt: new Date(now.getTime() + AUTO_RESUME_RETRY_MS) } }
+        );
+      }
+      continue;
+    }
+    const conversationId = chat._id.toString();
+    const scope = { conversationId, ownerId: chat.ownerId };
+    if (await shouldAiRespond(chat.userId, scope)) continue;
+
+    const state = await activateAiForUser(chat.userId, { ...scope, reason: 'auto_resume', by: 'ai' });
+    if (!state) continue;
+    console.log(`[AI Handler] AI resumed chat of user ${chat.userId} after ${policy.idleMinutes} idle minutes`);
+    resumed.push({
+      ownerId: chat.ownerId,
+      userId: chat.userId,
+      conversationId,
+      idleMinutes: policy.idleMinutes,
+      notice: policy.notice,
+      pendingMessage: await findUnansweredMessage(conversationId),
+    });
+  }
+  return resumed;
 }
 
 /**
  * Get conversation history for AI context
  * @param {string} userId - User's unique ID
  * @param {number} limit - Number of recent messages to retrieve
- * @returns {Promise<Array>} - Conversation history
+ * @param {string|null} conversationId - Session id (defaults to the current session)
+ * @returns {Promise<Array>} - Conversation history of that session only
  */
-async function getConversationHistory(userId, limit = 10) {
-  if (!chatsCollection) return [];
-  
+async function getConversationHistory(userId, limit = 10, conversationId = null) {
   try {
-    const chat = await chatsCollection.findOne({ userId });
-    
-    if (!chat || !chat.conversation) {
-      return [];
-    }
-    
-    // Return last N messages
-    return chat.conversation.slice(-limit);
+    const chat = await resolveConversation(userId, { conversationId });
+    if (!chat) return [];
+    // Only the last N messages are read from the messages collection; internal notes never reach the model
+    const page = await getMessagesPage(chat._id.toString(), { limit, includeInternal: false });
+    return page.messages;
   } catch (error) {
     console.error('[AI Handler] Error getting conversation history:', error);
     return [];
   }
 }
 
+/**
+ * History without the visitor message being answered (it is already stored when the AI runs)
+ * @param {Array} history - Session messages, oldest first
+ * @param {string} userMessage - Message being answered
+ * @returns {Array} - Earlier messages
+ */
+function previousMessages(history, userMessage) {
+  const last = history[history.length - 1];
+  return last && last.from === 'user' && last.text === userMessage ? history.slice(0, -1) : history;
+}
+
+/**
+ * Pause the AI for a conversation the team has to take over
+ * @param {string} userId - User's unique ID
+ * @param {object} params - { conversationId, ownerId, escalation: { reason, detail } }
+ * @returns {Promise<object>} - Handoff message for the visitor (not stored)
+ */
+async function escalate(userId, { conversationId, ownerId, escalation }) {
+  await deactivateAiForUser(userId, { conversationId, ownerId, reason: 'escalation', by: 'ai' });
+  // the visitor now waits on the team, which starts the auto-resume clock
+  await scheduleAutoResume(userId, { conversationId, ownerId })
+    .catch(error => console.error('[AI Handler] Error scheduling auto-resume:', error));
+  console.log(`[AI Handler] Escalated chat of user ${userId} to the team: ${escalation.reason}`);
+  return {
+    from: 'system',
+    text: HANDOFF_MESSAGE,
+    userId,
+    ts: Date.now(),
+    escalation,
+  };
+}
+
 /**
  * Process user message and generate AI response if needed
+ * The returned message is not stored; send it through messageService
  * @param {string} userId - User's unique ID
  * @param {string} userMessage - User's message
  * @param {string} ownerId - Owner's unique ID
- * @returns {Promise<object|null>} - AI response object or null if AI shouldn't respond
+ * @param {object} options - { conversationId (session the message was stored in), onThinking (called
+ *   once the AI has decided to answer), escalate (false skips the handoff checks), onDelta (streams
+ *   the answer: called with each text chunk; the returned message still holds the complete text) }
+ * @returns {Promise<object|null>} - AI response object or null if AI shouldn't respond. When the
+ *   conversation was escalated instead, a system handoff message carrying `escalation: { reason, detail }`
  */
-async function processUserMessage(userId, userMessage, ownerId) {
+async function processUserMessage(userId, userMessage, ownerId, options = {}) {
+  const conversationId = options.conversationId || null;
   try {
     // Check if AI should respond
-    const aiShouldRespond = await shouldAiRespond(userId);
+    const aiShouldRespond = await shouldAiRespond(userId, { conversationId, ownerId });
     
     if (!aiShouldRespond) {
       console.log(`[AI Handler] AI disabled for user ${userId}, waiting for admin`);
+      await scheduleAutoResume(userId, { conversationId, ownerId })
+        .catch(error => console.error('[AI Handler] Error scheduling auto-resume:', error));
       return null;
     }
+
+    if (options.onThinking) options.onThinking();
     
     // Get conversation history for context
-    const conversationHistory = await getConversationHistory(userId);
+    const conversationHistory = await getConversationHistory(userId, 10, conversationId);
     
     // Generate AI response with context from owner's knowledge base
     // If no ownerId, use general AI knowledge without specific context
     let aiResult;
     if (ownerId) {
-      aiResult = await getAiResponseWithContext(ownerId, userMessage, conversationHistory);
+      // searched once: the matches decide about escalation and then feed the answer
+      let context = null;
+      try {
+        context = await searchOwnerKnowledge(ownerId, userMessage);
+      } catch (error) {
+        console.error('[AI Handler] Knowledge search failed:', error.message);
+      }
+      const escalation = options.escalate !== false && evaluateEscalation({
+        text: userMessage,
+        history: previousMessages(conversationHistory, userMessage),
+        context,
+      });
+      if (escalation) return escalate(userId, { conversationId, ownerId, escalation });
+      aiResult = await getAiResponseWithContext(ownerId, userMessage, conversationHistory, { context, onDelta: options.onDelta });
     } else {
       console.log(`[AI Handler] No ownerId for user ${userId}, using general AI knowledge`);
       const { generateAiResponse } = require('./aiResponse');
-      const response = await generateAiResponse(userMessage, [], conversationHistory);
+      const response = await generateAiResponse(userMessage, [], conversationHistory, null, { onDelta: options.onDelta });
       aiResult = {
         response,
         contextUsed: false,
@@ -160,24 +374,7 @@ async function processUserMessage(userId, userMessage, ownerId) {
       };
     }
     
-    // Store AI response in MongoDB
-    if (chatsCollection) {
-      const aiMessageObj = {
-        from: 'ai',
-        text: aiResult.response,
-        ts: Date.now(),
-        contextUsed: aiResult.contextUsed,
-        sources: aiResult.sources,
-      };
-      
-      await chatsCollection.updateOne(
-        { userId },
-        {
-          $push: { conversation: aiMessageObj },
-        }
-      );
-    }
-    
+    // Not persisted here: the caller sends it through messageService (persist once + fan-out)
     return {
       from: 'ai',
       text: aiResult.response,
@@ -203,37 +400,55 @@ async function processUserMessage(userId, userMessage, ownerId) {
 /**
  * Handle admin/owner message (deactivates AI)
  * @param {string} userId - User's unique ID
+ * @param {object} options - { conversationId (session the admin wrote in), ownerId, by (agent id or 'owner') }
  */
-async function handleAdminMessage(userId) {
-  await deactivateAiForUser(userId);
+async function handleAdminMessage(userId, { conversationId = null, ownerId = null, by = 'owner' } = {}) {
+  await deactivateAiForUser(userId, { conversationId, ownerId, reason: 'admin_reply', by });
   console.log(`[AI Handler] Admin took over chat for user ${userId}`);
 }
 
 /**
- * Reset AI state for a user (reactivate AI)
+ * Reset AI state for a user's current session (reactivate AI)
  * @param {string} userId - User's unique ID
+ * @param {object} options - { ownerId (only their session is reset), by }
+ * @returns {Promise<object|null>} - Stored state, or null when the owner has no session with the user
  */
-async function resetAiForUser(userId) {
-  await activateAiForUser(userId);
-  console.log(`[AI Handler] AI reactivated for user ${userId}`);
+async function resetAiForUser(userId, { ownerId = null, by = null } = {}) {
+  const state = await activateAiForUser(userId, { ownerId, reason: 'manual', by });
+  if (state) console.log(`[AI Handler] AI reactivated for user ${userId}`);
+  return state;
 }
 
 /**
- * Get AI state for a user
+ * Get AI state for a user's current session
  * @param {string} userId - User's unique ID
- * @returns {Promise<object>} - AI state information
+ * @param {object} scope - { ownerId } (another owner's session reads as not found)
+ * @returns {Promise<object|null>} - AI state information, or null when there is no matching session
  */
-async function getAiStateInfo(userId) {
-  const isActive = await shouldAiRespond(userId);
+async function getAiStateInfo(userId, { ownerId = null } = {}) {
+  const chat = await resolveConversation(userId, { ownerId });
+  if (!chat) return null;
+  const state = aiStateCollection ? await findAiState(chat) : null;
+  const isActive = !state || state.aiActive !== false;
   
   return {
     userId,
+    ownerId: chat.ownerId || null,
+    conversationId: chat._id.toString(),
     aiActive: isActive,
     status: isActive ? 'AI is responding' : 'Admin has taken over',
+    reason: (state && state.reason) || null,
+    changedBy: (state && state.changedBy) || null,
+    changedAt: (state && (state.changedAt || state.lastUpdated)) || null,
+    takenOverBy: isActive ? null : (state.takenOverBy || null),
+    takenOverAt: isActive ? null : (state.takenOverAt || state.lastUpdated || null),
+    // set while a visitor waits on the team and the AI will take back over then
+    autoResumeAt: chat.autoResumeAt || null,
   };
 }
 
 module.exports = {
+  AI_STATE_REASONS,
   processUserMessage,
   handleAdminMessage,
   resetAiForUser,
@@ -242,4 +457,5 @@ module.exports = {
   deactivateAiForUser,
   getAiStateInfo,
   getConversationHistory,
+  resumeIdleConversations,
 };
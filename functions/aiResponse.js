@@ -1,6 +1,6 @@
 /**
  * aiResponse.js
- * Generate AI responses using embeddings from Qdrant and OpenAI
+ * Generate AI responses using embeddings from Qdrant and the configured LLM provider (llmProvider.js)
  * Retrieves relevant context based on user queries
  */
 
@@ -8,6 +8,18 @@ require('dotenv').config();
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const { MongoClient } = require('mongodb');
 const { generateEmbedding } = require('./storeResources');
+const { chatCompletion } = require('./llmProvider');
+const { getLlmSettings, getPersona } = require('./aiSettings');
+
+// How each persona tone asks the model to write; 'friendly' is the original wording
+const TONE_GUIDES = {
+  friendly: 'Always be friendly, professional, and concise in your responses.',
+  professional: 'Keep a polished, professional tone and be precise and concise in your responses.',
+  casual: 'Write in a relaxed, casual, conversational tone, like a helpful colleague, and keep responses short.',
+  formal: 'Use a formal, courteous tone with complete sentences and no slang.',
+  empathetic: 'Be warm and empathetic: acknowledge how the visitor feels before helping, and keep responses concise.',
+  concise: 'Answer as briefly as possible: a sentence or two, or a short list, without filler.',
+};
 
 // Initialize Qdrant client
 const qdrantClient = new QdrantClient({
@@ -90,54 +102,71 @@ async function searchOwnerKnowledge(ownerId, query, limit = 3) {
 }
 
 /**
- * Generate AI response using OpenAI Chat Completions
- * @param {string} userMessage - User's message
+ * Build the system prompt: knowledge-base context and website, shaped by the owner's persona
  * @param {Array} context - Relevant context from knowledge base
- * @param {Array} conversationHistory - Previous messages
- * @param {string} websiteUrl - Owner's company website URL
- * @returns {Promise<string>} - AI generated response
+ * @param {string|null} websiteUrl - Owner's company website URL
+ * @param {object} persona - { botName, tone, instructions, forbiddenTopics } (see aiSettings.js)
+ * @returns {string} - System prompt
  */
-async function generateAiResponse(userMessage, context = [], conversationHistory = [], websiteUrl = null) {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY not set in environment variables');
+function buildSystemPrompt(context, websiteUrl, persona = {}) {
+  // Build context string from relevant chunks
+  let contextString = '';
+  if (context.length > 0) {
+    contextString = 'Relevant information from knowledge base:\n\n';
+    context.forEach((ctx, idx) => {
+      contextString += `[Source ${idx + 1} - ${ctx.metadata.fileName}]:\n${ctx.text}\n\n`;
+    });
   }
 
-  try {
-    // Build context string from relevant chunks
-    let contextString = '';
-    if (context.length > 0) {
-      contextString = 'Relevant information from knowledge base:\n\n';
-      context.forEach((ctx, idx) => {
-        contextString += `[Source ${idx + 1} - ${ctx.metadata.fileName}]:\n${ctx.text}\n\n`;
-      });
-    }
+  // Add website URL to context if available
+  let websiteContext = '';
+  if (websiteUrl) {
+    websiteContext = `\n\nCompany Website: ${websiteUrl}\nYou can reference this website when answering questions about the company.`;
+  }
 
-    // Add website URL to context if available
-    let websiteContext = '';
-    if (websiteUrl) {
-      websiteContext = `\n\nCompany Website: ${websiteUrl}\nYou can reference this website when answering questions about the company.`;
-    }
+  const identity = persona.botName
+    ? `You are ${persona.botName}, a helpful AI customer service assistant. Introduce yourself as ${persona.botName} when asked who you are.`
+    : 'You are a helpful and friendly AI customer service assistant.';
+  const toneGuide = TONE_GUIDES[persona.tone] || TONE_GUIDES.friendly;
 
-    // Build system message
-    const systemMessage = {
-      role: 'system',
-      content: context.length > 0 
-        ? `You are a helpful and friendly AI customer service assistant. Use the information from the knowledge base below to answer questions accurately and professionally.
+  let prompt = context.length > 0
+    ? `${identity} Use the information from the knowledge base below to answer questions accurately and professionally.
 
 ${contextString}${websiteContext}
 
 If the provided context contains relevant information, use it to answer the question. If the context doesn't fully address the question, you can supplement with general knowledge but mention that some information may not be from the official knowledge base.
 
-Always be friendly, professional, and concise in your responses.`
-        : `You are a helpful and friendly AI customer service assistant.${websiteContext}
+${toneGuide}`
+    : `${identity}${websiteContext}
 
 Since there is no specific knowledge base available, provide helpful, accurate, and professional responses based on your general knowledge. 
 
 Be conversational, empathetic, and try to assist users to the best of your ability. If you're unsure about something specific to the company or product, kindly mention that a team member can provide more detailed information.
 
-Always be friendly, professional, and concise in your responses.`,
-    };
+${toneGuide}`;
+
+  if (persona.forbiddenTopics && persona.forbiddenTopics.length) {
+    prompt += `\n\nNever discuss these topics: ${persona.forbiddenTopics.join('; ')}. If the visitor brings one up, politely say you can't help with that here and offer to connect them with a member of the team.`;
+  }
+  if (persona.instructions) {
+    prompt += `\n\nAdditional instructions from the company:\n${persona.instructions}`;
+  }
+  return prompt;
+}
+
+/**
+ * Generate AI response with the configured LLM provider
+ * @param {string} userMessage - User's message
+ * @param {Array} context - Relevant context from knowledge base
+ * @param {Array} conversationHistory - Previous messages
+ * @param {string} websiteUrl - Owner's company website URL
+ * @param {object} options - { provider, model } (deployment defaults when empty), { persona } the owner's
+ *   persona (prompt, temperature, maxTokens), { onDelta } streams the completion, passing each text chunk as it arrives
+ * @returns {Promise<string>} - AI generated response
+ */
+async function generateAiResponse(userMessage, context = [], conversationHistory = [], websiteUrl = null, options = {}) {
+  try {
+    const systemMessage = { role: 'system', content: buildSystemPrompt(context, websiteUrl, options.persona) };
 
     // Build conversation messages (limit to last 10 for context window)
     const recentHistory = conversationHistory.slice(-10).map(msg => ({
@@ -152,28 +181,14 @@ Always be friendly, professional, and concise in your responses.`,
       { role: 'user', content: userMessage },
     ];
 
-    // Call OpenAI Chat Completions API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages,
-        temperature: 0.7,
-        max_tokens: 500,
-      }),
+    const persona = options.persona || {};
+    return await chatCompletion(messages, {
+      provider: options.provider,
+      model: options.model,
+      temperature: persona.temperature ?? 0.7,
+      maxTokens: persona.maxTokens || 500,
+      onDelta: options.onDelta,
     });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} ${errText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
   } catch (error) {
     console.error('Error generating AI response:', error);
     throw error;
@@ -185,18 +200,26 @@ Always be friendly, professional, and concise in your responses.`,
  * @param {string} ownerId - Owner's unique ID
  * @param {string} userMessage - User's message
  * @param {Array} conversationHistory - Previous messages
+ * @param {object} options - { context } knowledge-base matches the caller already searched for,
+ *   { onDelta } streams the answer (the non-streamed fallback answer replaces anything streamed)
  * @returns {Promise<object>} - AI response with metadata
  */
-async function getAiResponseWithContext(ownerId, userMessage, conversationHistory = []) {
+async function getAiResponseWithContext(ownerId, userMessage, conversationHistory = [], options = {}) {
   try {
-    // Get owner's website URL
+    // Get owner's website URL, their choice of LLM provider and their AI persona
     const websiteUrl = await getOwnerWebsite(ownerId);
+    const [llm, persona] = await Promise.all([getLlmSettings(ownerId), getPersona(ownerId)]);
     
     // Search for relevant context
-    const context = await searchOwnerKnowledge(ownerId, userMessage);
+    const context = Array.isArray(options.context) ? options.context : await searchOwnerKnowledge(ownerId, userMessage);
     
     // Generate AI response with website context
-    const aiResponse = await generateAiResponse(userMessage, context, conversationHistory, websiteUrl);
+    const aiResponse = await generateAiResponse(userMessage, context, conversationHistory, websiteUrl, {
+      provider: llm.provider,
+      model: llm.model,
+      persona,
+      onDelta: options.onDelta,
+    });
     
     return {
       response: aiResponse,
@@ -214,7 +237,9 @@ async function getAiResponseWithContext(ownerId, userMessage, conversationHistor
     // Fallback: generate response without context but with website
     try {
       const websiteUrl = await getOwnerWebsite(ownerId);
-      const fallbackResponse = await generateAiResponse(userMessage, [], conversationHistory, websiteUrl);
+      const llm = await getLlmSettings(ownerId).catch(() => ({}));
+      const persona = await getPersona(ownerId).catch(() => undefined);
+      const fallbackResponse = await generateAiResponse(userMessage, [], conversationHistory, websiteUrl, { ...llm, persona });
       return {
         response: fallbackResponse,
         contextUsed: false,
@@ -251,4 +276,5 @@ module.exports = {
   getAiResponseWithContext,
   hasKnowledgeBase,
   getOwnerWebsite,
+  buildSystemPrompt,
 };
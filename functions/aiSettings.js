@@ -0,0 +1,392 @@
+/**
+ * aiSettings.js
+ * Per-owner AI settings, stored in the `aisettings` collection (one document per owner,
+ * next to `knowledgebase` and `chatui`)
+ *
+ * autoResume: what happens when a human took over (AI paused) and then stops replying
+ *   enabled       - opt-in (default false): until then the AI stays paused until someone resets it
+ *   idleMinutes   - how long a visitor message may stay unanswered before the AI takes back over
+ *   when          - 'always' | 'outside_business_hours'; a wait that ends inside business hours
+ *                   is checked again every few minutes until they end (or the team replies)
+ *   businessHours - { timezone (IANA), days: { mon: [{ start: '09:00', end: '17:00' }], ... } };
+ *                   end may be '24:00' for a range that lasts until midnight
+ *   notice        - shown to the visitor when the AI takes back over
+ *
+ * llm: which language model answers the owner's visitors
+ *   provider - one of the providers this deployment is configured for (llmProvider.js),
+ *              null for the deployment default
+ *   model    - model (Azure: deployment) name, null for the provider's default
+ * Embeddings are not per owner: stored vectors must come from the deployment's one model.
+ *
+ * persona: how the AI presents itself, merged into the system prompt (aiResponse.js)
+ *   botName         - name the AI introduces itself with, null for none
+ *   tone            - one of PERSONA_TONES
+ *   instructions    - the owner's own instructions, appended to the prompt
+ *   forbiddenTopics - subjects the AI declines to discuss
+ *   temperature     - 0-1 (more creative when higher)
+ *   maxTokens       - longest answer, in tokens
+ * The persona endpoints also read and write `model`, which is stored in `llm.model`.
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { listProviders } = require('./llmProvider');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const AUTO_RESUME_WHEN = ['always', 'outside_business_hours'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// a range can last until the end of the day
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const MAX_IDLE_MINUTES = 24 * 60;
+const MAX_NOTICE_LENGTH = 500;
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9._:\/-]{1,100}$/;
+
+const PERSONA_TONES = ['friendly', 'professional', 'casual', 'formal', 'empathetic', 'concise'];
+const MAX_BOT_NAME_LENGTH = 50;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_FORBIDDEN_TOPICS = 20;
+const MAX_TOPIC_LENGTH = 100;
+const MIN_MAX_TOKENS = 50;
+const MAX_MAX_TOKENS = 2000;
+
+const DEFAULT_AUTO_RESUME = {
+  enabled: false,
+  idleMinutes: 5,
+  when: 'always',
+  businessHours: { timezone: 'UTC', days: {} },
+  notice: "Our team hasn't been able to reply yet, so I'll keep helping you in the meantime.",
+};
+
+const DEFAULT_LLM = { provider: null, model: null };
+
+const DEFAULT_PERSONA = {
+  botName: null,
+  tone: 'friendly',
+  instructions: '',
+  forbiddenTopics: [],
+  temperature: 0.7,
+  maxTokens: 500,
+};
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('aisettings').createIndex({ ownerId: 1 }, { unique: true });
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate business hours
+ * @param {*} value - { timezone, days: { mon: [{ start, end }] } }
+ * @returns {object} - Business hours
+ */
+function parseBusinessHours(value) {
+  if (!value || typeof value !== 'object') throw httpError('businessHours must be an object');
+  const timezone = value.timezone || 'UTC';
+  if (typeof timezone !== 'string' || !isValidTimezone(timezone)) throw httpError('businessHours.timezone must be an IANA time zone');
+  const days = {};
+  for (const [day, ranges] of Object.entries(value.days || {})) {
+    if (!WEEKDAYS.includes(day)) throw httpError(`businessHours.days: unknown day "${day}" (use ${WEEKDAYS.join(', ')})`);
+    if (!Array.isArray(ranges)) throw httpError(`businessHours.days.${day} must be an array of { start, end }`);
+    days[day] = ranges.map(({ start, end } = {}) => {
+      if (!TIME_PATTERN.test(start) || !END_TIME_PATTERN.test(end) || start >= end) {
+        throw httpError(`businessHours.days.${day}: ranges need start < end as HH:MM (end up to 24:00)`);
+      }
+      return { start, end };
+    });
+  }
+  return { timezone, days };
+}
+
+/**
+ * Validate auto-resume settings, merged over the current ones
+ * @param {object} body - Fields to change
+ * @param {object} current - Current policy
+ * @returns {object} - Complete policy
+ */
+function parseAutoResume(body = {}, current = DEFAULT_AUTO_RESUME) {
+  const policy = { ...current };
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') throw httpError('enabled must be true or false');
+    policy.enabled = body.enabled;
+  }
+  if (body.idleMinutes !== undefined) {
+    const minutes = Number(body.idleMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_IDLE_MINUTES) {
+      throw httpError(`idleMinutes must be a whole number between 1 and ${MAX_IDLE_MINUTES}`);
+    }
+    policy.idleMinutes = minutes;
+  }
+  if (body.when !== undefined) {
+    if (!AUTO_RESUME_WHEN.includes(body.when)) throw httpError(`when must be one of: ${AUTO_RESUME_WHEN.join(', ')}`);
+    policy.when = body.when;
+  }
+  if (body.businessHours !== undefined) policy.businessHours = parseBusinessHours(body.businessHours);
+  if (body.notice !== undefined) {
+    if (typeof body.notice !== 'string' || !body.notice.trim()) throw httpError('notice must be a non-empty string');
+    policy.notice = body.notice.trim().slice(0, MAX_NOTICE_LENGTH);
+  }
+  if (policy.when === 'outside_business_hours' && !Object.keys(policy.businessHours.days).length) {
+    throw httpError('businessHours.days is required when resuming only outside business hours');
+  }
+  return policy;
+}
+
+/**
+ * Get an owner's auto-resume policy (defaults when never configured)
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<object>} - Policy
+ */
+async function getAutoResumePolicy(ownerId) {
+  const database = await getDb();
+  const doc = await database.collection('aisettings').findOne({ ownerId }, { projection: { autoResume: 1 } });
+  return { ...DEFAULT_AUTO_RESUME, ...((doc && doc.autoResume) || {}) };
+}
+
+/**
+ * Change an owner's auto-resume policy
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - Fields to change
+ * @returns {Promise<object>} - Updated policy
+ */
+async function updateAutoResumePolicy(ownerId, body) {
+  const policy = parseAutoResume(body, await getAutoResumePolicy(ownerId));
+  const database = await getDb();
+  await database.collection('aisettings').updateOne(
+    { ownerId },
+    { $set: { autoResume: policy, updatedAt: new Date() }, $setOnInsert: { ownerId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return policy;
+}
+
+/**
+ * Validate LLM settings, merged over the current ones
+ * @param {object} body - { provider, model } (null resets to the default)
+ * @param {object} current - Current settings
+ * @returns {object} - Complete settings
+ */
+function parseLlmSettings(body = {}, current = DEFAULT_LLM) {
+  const settings = { ...current };
+  if (body.provider !== undefined) {
+    const available = listProviders();
+    if (body.provider !== null && !available.includes(body.provider)) {
+      throw httpError(`provider must be one of: ${available.join(', ')} (or null for the default)`);
+    }
+    // another provider's model name would not exist there
+    if (body.provider !== settings.provider && body.model === undefined) settings.model = null;
+    settings.provider = body.provider;
+  }
+  if (body.model !== undefined) {
+    if (body.model !== null && !MODEL_NAME_PATTERN.test(String(body.model))) throw httpError('model must be a model name');
+    settings.model = body.model;
+  }
+  return settings;
+}
+
+/**
+ * Get an owner's LLM choice (nulls mean the deployment defaults)
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<object>} - { provider, model }
+ */
+async function getLlmSettings(ownerId) {
+  const database = await getDb();
+  const doc = await database.collection('aisettings').findOne({ ownerId }, { projection: { llm: 1 } });
+  return { ...DEFAULT_LLM, ...((doc && doc.llm) || {}) };
+}
+
+/**
+ * Change an owner's LLM choice
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { provider, model }
+ * @returns {Promise<object>} - Updated settings
+ */
+async function updateLlmSettings(ownerId, body) {
+  const settings = parseLlmSettings(body, await getLlmSettings(ownerId));
+  const database = await getDb();
+  await database.collection('aisettings').updateOne(
+    { ownerId },
+    { $set: { llm: settings, updatedAt: new Date() }, $setOnInsert: { ownerId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return settings;
+}
+
+/**
+ * Validate persona fields, merged over the current ones
+ * @param {object} body - Fields to change
+ * @param {object} current - Current persona
+ * @returns {object} - Complete persona (without model)
+ */
+function parsePersona(body = {}, current = DEFAULT_PERSONA) {
+  const persona = { ...current };
+  if (body.botName !== undefined) {
+    if (body.botName !== null && typeof body.botName !== 'string') throw httpError('botName must be a string');
+    const botName = (body.botName || '').trim();
+    if (botName.length > MAX_BOT_NAME_LENGTH) throw httpError(`botName can be at most ${MAX_BOT_NAME_LENGTH} characters`);
+    persona.botName = botName || null;
+  }
+  if (body.tone !== undefined) {
+    if (!PERSONA_TONES.includes(body.tone)) throw httpError(`tone must be one of: ${PERSONA_TONES.join(', ')}`);
+    persona.tone = body.tone;
+  }
+  if (body.instructions !== undefined) {
+    if (body.instructions !== null && typeof body.instructions !== 'string') throw httpError('instructions must be a string');
+    const instructions = (body.instructions || '').trim();
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      throw httpError(`instructions can be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+    persona.instructions = instructions;
+  }
+  if (body.forbiddenTopics !== undefined) {
+    if (!Array.isArray(body.forbiddenTopics) || body.forbiddenTopics.some(topic => typeof topic !== 'string')) {
+      throw httpError('forbiddenTopics must be an array of strings');
+    }
+    const topics = [...new Set(body.forbiddenTopics.map(topic => topic.trim()).filter(Boolean))];
+    if (topics.length > MAX_FORBIDDEN_TOPICS) throw httpError(`at most ${MAX_FORBIDDEN_TOPICS} forbiddenTopics`);
+    if (topics.some(topic => topic.length > MAX_TOPIC_LENGTH)) {
+      throw httpError(`forbiddenTopics can be at most ${MAX_TOPIC_LENGTH} characters each`);
+    }
+    persona.forbiddenTopics = topics;
+  }
+  if (body.temperature !== undefined) {
+    const temperature = Number(body.temperature);
+    if (body.temperature === null || !Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+      throw httpError('temperature must be a number between 0 and 1');
+    }
+    persona.temperature = temperature;
+  }
+  if (body.maxTokens !== undefined) {
+    const maxTokens = Number(body.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < MIN_MAX_TOKENS || maxTokens > MAX_MAX_TOKENS) {
+      throw httpError(`maxTokens must be a whole number between ${MIN_MAX_TOKENS} and ${MAX_MAX_TOKENS}`);
+    }
+    persona.maxTokens = maxTokens;
+  }
+  return persona;
+}
+
+/**
+ * Get an owner's AI persona (defaults when never configured)
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<object>} - { botName, tone, instructions, forbiddenTopics, model, temperature, maxTokens }
+ */
+async function getPersona(ownerId) {
+  const database = await getDb();
+  const doc = await database.collection('aisettings').findOne({ ownerId }, { projection: { persona: 1, llm: 1 } });
+  const persona = { ...DEFAULT_PERSONA, ...((doc && doc.persona) || {}) };
+  return { ...persona, model: (doc && doc.llm && doc.llm.model) || null };
+}
+
+/**
+ * Change an owner's AI persona (only the fields sent)
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - Persona fields, `model` included
+ * @returns {Promise<object>} - Updated persona
+ */
+async function updatePersona(ownerId, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError('Expected an object of persona fields');
+  const { model, ...current } = await getPersona(ownerId);
+  const persona = parsePersona(body, current);
+  const set = { persona, updatedAt: new Date() };
+  if (body.model !== undefined) {
+    set.llm = parseLlmSettings({ model: body.model }, await getLlmSettings(ownerId));
+  }
+  const database = await getDb();
+  await database.collection('aisettings').updateOne(
+    { ownerId },
+    { $set: set, $setOnInsert: { ownerId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return { ...persona, model: set.llm ? set.llm.model : model };
+}
+
+/**
+ * Reset an owner's AI persona (and model) to the defaults
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<object>} - Default persona
+ */
+async function resetPersona(ownerId) {
+  const database = await getDb();
+  await database.collection('aisettings').updateOne(
+    { ownerId },
+    { $unset: { persona: '' }, $set: { 'llm.model': null, updatedAt: new Date() } }
+  );
+  return { ...DEFAULT_PERSONA, model: null };
+}
+
+/**
+ * Is a moment inside the owner's business hours?
+ * @param {object} businessHours - { timezone, days }
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(businessHours, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: businessHours.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  const day = part('weekday').toLowerCase().slice(0, 3);
+  const time = `${part('hour')}:${part('minute')}`;
+  return ((businessHours.days || {})[day] || []).some(({ start, end }) => time >= start && time < end);
+}
+
+/**
+ * May the AI take back over right now under this policy?
+ * @param {object} policy - Auto-resume policy
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function autoResumeAllowed(policy, date = new Date()) {
+  if (!policy.enabled) return false;
+  return policy.when === 'always' || !isWithinBusinessHours(policy.businessHours, date);
+}
+
+module.exports = {
+  PERSONA_TONES,
+  getAutoResumePolicy,
+  updateAutoResumePolicy,
+  getLlmSettings,
+  updateLlmSettings,
+  getPersona,
+  updatePersona,
+  resetPersona,
+  isWithinBusinessHours,
+  autoResumeAllowed,
+  parseAutoResume,
+  parsePersona,
+};
@@ -0,0 +1,231 @@
+/**
+ * cannedResponses.js
+ * Per-owner canned responses (macros) for the dashboard
+ * Each response has an optional shortcut (unique per owner) and a text that
+ * may contain template variables filled from the chat when it is sent:
+ *   {{username}} {{useremail}} {{userphone}} {{companyWebsite}}
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+const { findConversation } = require('./messageStore');
+const { getOwnerWebsite } = require('./aiResponse');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const TEMPLATE_VARIABLES = ['username', 'useremail', 'userphone', 'companyWebsite'];
+const SHORTCUT_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_TITLE_LENGTH = 100;
+const MAX_TEXT_LENGTH = 5000;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('canned_responses').createIndex(
+      { ownerId: 1, shortcut: 1 },
+      { unique: true, partialFilterExpression: { shortcut: { $type: 'string' } } }
+    );
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toCannedResponse(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Validate canned response fields from a request body
+ * @param {object} body - { title, shortcut, text }
+ * @param {boolean} partial - Only validate the fields that are present
+ * @returns {object} - Fields to store
+ */
+function parseFields(body = {}, partial = false) {
+  const fields = {};
+  if (body.text !== undefined || !partial) {
+    if (typeof body.text !== 'string' || !body.text.trim()) throw httpError('text is required');
+    if (body.text.length > MAX_TEXT_LENGTH) throw httpError(`text must be at most ${MAX_TEXT_LENGTH} characters`);
+    fields.text = body.text;
+  }
+  if (body.title !== undefined) {
+    if (body.title !== null && typeof body.title !== 'string') throw httpError('title must be a string');
+    fields.title = body.title ? body.title.trim().slice(0, MAX_TITLE_LENGTH) : null;
+  }
+  if (body.shortcut !== undefined) {
+    // stored without the leading slash the dashboard may show
+    const shortcut = typeof body.shortcut === 'string' ? body.shortcut.trim().replace(/^\//, '').toLowerCase() : body.shortcut;
+    if (shortcut !== null && shortcut !== '' && !SHORTCUT_PATTERN.test(shortcut)) {
+      throw httpError('shortcut may only contain letters, digits, "-" and "_" (max 32)');
+    }
+    fields.shortcut = shortcut || null;
+  }
+  return fields;
+}
+
+function isDuplicateKeyError(error) {
+  return !!error && error.code === 11000;
+}
+
+/**
+ * List an owner's canned responses, ordered by shortcut then title
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<Array>} - Canned responses
+ */
+async function listCannedResponses(ownerId) {
+  const database = await getDb();
+  const docs = await database.collection('canned_responses')
+    .find({ ownerId })
+    .sort({ shortcut: 1, title: 1, _id: 1 })
+    .toArray();
+  return docs.map(toCannedResponse);
+}
+
+/**
+ * Get one canned response of an owner
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Canned response id
+ * @returns {Promise<object|null>} - Canned response or null
+ */
+async function getCannedResponse(ownerId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  const database = await getDb();
+  return toCannedResponse(await database.collection('canned_responses').findOne({ _id: new ObjectId(id), ownerId }));
+}
+
+/**
+ * Create a canned response
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { title, shortcut, text }
+ * @returns {Promise<object>} - Created canned response
+ */
+async function createCannedResponse(ownerId, body) {
+  const database = await getDb();
+  const doc = {
+    title: null,
+    shortcut: null,
+    ...parseFields(body),
+    ownerId,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  try {
+    const result = await database.collection('canned_responses').insertOne(doc);
+    return toCannedResponse({ ...doc, _id: result.insertedId });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) throw httpError(`shortcut "${doc.shortcut}" is already in use`, 409);
+    throw error;
+  }
+}
+
+/**
+ * Update a canned response
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Canned response id
+ * @param {object} body - Fields to change
+ * @returns {Promise<object|null>} - Updated canned response or null if not found
+ */
+async function updateCannedResponse(ownerId, id, body) {
+  if (!ObjectId.isValid(id)) return null;
+  const fields = parseFields(body, true);
+  const database = await getDb();
+  try {
+    const doc = await database.collection('canned_responses').findOneAndUpdate(
+      { _id: new ObjectId(id), ownerId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return toCannedResponse(doc);
+  } catch (error) {
+    if (isDuplicateKeyError(error)) throw httpError(`shortcut "${fields.shortcut}" is already in use`, 409);
+    throw error;
+  }
+}
+
+/**
+ * Delete a canned response
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Canned response id
+ * @returns {Promise<boolean>} - True when something was deleted
+ */
+async function deleteCannedResponse(ownerId, id) {
+  if (!ObjectId.isValid(id)) return false;
+  const database = await getDb();
+  const result = await database.collection('canned_responses').deleteOne({ _id: new ObjectId(id), ownerId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Replace {{variable}} placeholders; unknown or empty variables become an empty string
+ * @param {string} text - Template text
+ * @param {object} variables - Values by name
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!TEMPLATE_VARIABLES.includes(name)) return '';
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Template variables for a conversation: visitor metadata plus the owner's website
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<object>} - { username, useremail, userphone, companyWebsite }
+ */
+async function getTemplateVariables(ownerId, userId) {
+  const found = userId ? await findConversation(userId) : null;
+  // another tenant's visitor contributes nothing
+  const chat = found && found.ownerId === ownerId ? found : null;
+  return {
+    username: (chat && chat.username) || null,
+    useremail: (chat && chat.useremail) || null,
+    userphone: (chat && chat.userphone) || null,
+    companyWebsite: await getOwnerWebsite(ownerId),
+  };
+}
+
+/**
+ * Expand a canned response for a conversation
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} cannedId - Canned response id
+ * @param {string} userId - Visitor the text is meant for
+ * @returns {Promise<string>} - Text ready to send
+ * @throws {Error} - 404 when the canned response does not exist
+ */
+async function expandCannedResponse(ownerId, cannedId, userId) {
+  const canned = await getCannedResponse(ownerId, cannedId);
+  if (!canned) throw httpError('Canned response not found', 404);
+  return renderTemplate(canned.text, await getTemplateVariables(ownerId, userId));
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  listCannedResponses,
+  getCannedResponse,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderTemplate,
+  expandCannedResponse,
+};
@@ -0,0 +1,199 @@
+/**
+ * conversationStatus.js
+ * Conversation status lifecycle
+ *   open     - needs the team's attention (new chats, visitor wrote again)
+ *   pending  - waiting on the visitor
+ *   snoozed  - hidden until `snoozedUntil`, then open again
+ *   resolved - done; optionally closes the session so the visitor's next message starts a new one
+ * Chats stored before statuses existed have no `status` field and count as open.
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { findConversation } = require('./messageStore');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const STATUSES = ['open', 'pending', 'snoozed', 'resolved'];
+// allowed moves; a resolved chat has to be reopened before anything else
+const TRANSITIONS = {
+  open: ['pending', 'snoozed', 'resolved'],
+  pending: ['open', 'snoozed', 'resolved'],
+  snoozed: ['open', 'pending', 'resolved'],
+  resolved: ['open'],
+};
+// snoozes further out than this are refused
+const MAX_SNOOZE_MS = 90 * 24 * 60 * 60 * 1000;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('chats').createIndex(
+      { snoozedUntil: 1 },
+      { partialFilterExpression: { status: 'snoozed' } }
+    );
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function currentStatus(chat) {
+  return chat.status || 'open';
+}
+
+/**
+ * Parse the snooze deadline (ISO string or epoch ms), which must lie in the future
+ * @param {*} value - Raw value
+ * @returns {Date} - Deadline
+ */
+function parseSnoozedUntil(value) {
+  if (value === undefined || value === null || value === '') throw httpError('snoozedUntil is required to snooze');
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) throw httpError('snoozedUntil must be a date');
+  const delay = date.getTime() - Date.now();
+  if (delay <= 0) throw httpError('snoozedUntil must be in the future');
+  if (delay > MAX_SNOOZE_MS) throw httpError('snoozedUntil is too far in the future');
+  return date;
+}
+
+/**
+ * Change the status of a visitor's current conversation
+ * @param {string} ownerId - Owner's unique ID (the conversation must belong to them)
+ * @param {string} userId - Visitor's unique ID
+ * @param {string} status - 'open' | 'pending' | 'snoozed' | 'resolved'
+ * @param {object} options
+ * @param {*} options.snoozedUntil - Required when snoozing
+ * @param {boolean} options.newSession - When resolving: the visitor's next message starts a new conversation
+ * @param {string} options.by - Agent id or 'owner'
+ * @returns {Promise<object>} - { userId, conversationId, status, previousStatus, snoozedUntil, newSession, by, changedAt }
+ */
+async function setConversationStatus(ownerId, userId, status, { snoozedUntil = null, newSession = false, by = 'owner' } = {}) {
+  if (!STATUSES.includes(status)) throw httpError(`status must be one of: ${STATUSES.join(', ')}`);
+  const until = status === 'snoozed' ? parseSnoozedUntil(snoozedUntil) : null;
+
+  const chat = await findConversation(userId);
+  if (!chat || chat.ownerId !== ownerId) throw httpError('Conversation not found', 404);
+  const previousStatus = currentStatus(chat);
+  if (previousStatus === status && status !== 'snoozed') throw httpError(`Conversation is already ${status}`, 409);
+  if (previousStatus !== status && !TRANSITIONS[previousStatus].includes(status)) {
+    throw httpError(`Cannot move a ${previousStatus} conversation to ${status}`, 409);
+  }
+
+  const changedAt = new Date();
+  const closeSession = status === 'resolved' && !!newSession;
+  const set = { status, statusChangedAt: changedAt, statusChangedBy: by, snoozedUntil: until };
+  if (status === 'resolved') {
+    set.resolvedAt = changedAt;
+    set.resolvedBy = by;
+    if (closeSession) Object.assign(set, { closedAt: changedAt, closeReason: 'resolved' });
+  }
+  const update = { $set: set };
+  // reopening a closed session keeps the conversation going in it
+  if (status === 'open' && chat.closedAt) update.$unset = { closedAt: '', closeReason: '' };
+
+  const database = await getDb();
+  // only move from the status we checked, so two agents cannot both apply a transition
+  const result = await database.collection('chats').updateOne(
+    { _id: chat._id, status: chat.status || null },
+    update
+  );
+  if (!result.modifiedCount) throw httpError('Conversation status changed meanwhile', 409);
+
+  return {
+    userId,
+    conversationId: chat._id.toString(),
+    status,
+    previousStatus,
+    snoozedUntil: until,
+    newSession: closeSession,
+    by,
+    changedAt,
+  };
+}
+
+/**
+ * Reopen a visitor's conversation because they wrote again
+ * Pending, snoozed and resolved conversations become open; open ones are left alone
+ * @param {string} conversationId - Chat document id the visitor's message was stored in
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<object|null>} - Status change, or null when nothing changed
+ */
+async function reopenOnVisitorMessage(conversationId, userId) {
+  const chat = await findConversation(userId);
+  if (!chat || chat._id.toString() !== conversationId) return null;
+  const previousStatus = currentStatus(chat);
+  if (previousStatus === 'open') return null;
+
+  const changedAt = new Date();
+  const database = await getDb();
+  const result = await database.collection('chats').updateOne(
+    { _id: chat._id, status: chat.status },
+    {
+      $set: { status: 'open', statusChangedAt: changedAt, statusChangedBy: 'visitor', snoozedUntil: null },
+      $unset: { closedAt: '', closeReason: '' },
+    }
+  );
+  if (!result.modifiedCount) return null;
+  return { userId, conversationId, status: 'open', previousStatus, snoozedUntil: null, newSession: false, by: 'visitor', changedAt };
+}
+
+/**
+ * Reopen conversations whose snooze ran out
+ * Each conversation is claimed with its own update, so with several processes only one reports it
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - Status changes ({ ownerId, ...change })
+ */
+async function wakeSnoozedConversations(now = new Date()) {
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const due = await chats
+    .find({ status: 'snoozed', snoozedUntil: { $lte: now } }, { projection: { userId: 1, ownerId: 1, snoozedUntil: 1 } })
+    .limit(500)
+    .toArray();
+
+  const woken = [];
+  for (const chat of due) {
+    const result = await chats.updateOne(
+      { _id: chat._id, status: 'snoozed', snoozedUntil: chat.snoozedUntil },
+      { $set: { status: 'open', statusChangedAt: now, statusChangedBy: 'snooze', snoozedUntil: null } }
+    );
+    if (!result.modifiedCount) continue;
+    woken.push({
+      ownerId: chat.ownerId,
+      userId: chat.userId,
+      conversationId: chat._id.toString(),
+      status: 'open',
+      previousStatus: 'snoozed',
+      snoozedUntil: null,
+      newSession: false,
+      by: 'snooze',
+      changedAt: now,
+    });
+  }
+  return woken;
+}
+
+module.exports = {
+  STATUSES,
+  setConversationStatus,
+  reopenOnVisitorMessage,
+  wakeSnoozedConversations,
+  parseSnoozedUntil,
+};
@@ -0,0 +1,342 @@
+/**
+ * conversations.js
+ * Owner-scoped conversation queries for the dashboard REST API
+ * Lists chats with cursor pagination/filters and pages through message history
+ * (plus the visitor's own transcript for the widget)
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+const { getMessagesPage, findConversation, listSessions } = require('./messageStore');
+const { STATUSES } = require('./conversationStatus');
+const { listAttributeDefinitions, coerceAttributeValue } = require('./visitorAttributes');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('chats').createIndex({ ownerId: 1, lastActivityAt: -1 });
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a 400 response
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse a positive page size, clamped to a maximum
+ * @param {*} value - Raw value from the query string
+ * @param {number} fallback - Default size
+ * @param {number} max - Maximum size
+ * @returns {number} - Page size
+ */
+function parseLimit(value, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+  return Math.min(limit, max);
+}
+
+/**
+ * Parse an optional date (ISO string or epoch ms)
+ * @param {*} value - Raw value from the query string
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date|null} - Parsed date or null
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`${name} must be a date`);
+  return date;
+}
+
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify({ a: doc.activityAt.getTime(), id: doc._id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { a, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return { activityAt: new Date(a), id: new ObjectId(id) };
+  } catch (error) {
+    throw badRequest('invalid cursor');
+  }
+}
+
+/**
+ * Cursor of the oldest message of a page: ts plus id, so the next page keeps the messages
+ * that share its millisecond (AI replies, bulk inserts)
+ * @param {object} message - Message ({ id, ts })
+ * @returns {string} - Cursor for `before`
+ */
+function encodeMessageCursor(message) {
+  return Buffer.from(JSON.stringify({ ts: message.ts, id: message.id })).toString('base64url');
+}
+
+/**
+ * Parse a `before` message cursor; a plain date (ISO string or epoch ms) is still accepted
+ * and excludes its whole millisecond
+ * @param {*} value - Raw value from the query string
+ * @returns {object|null} - { ts, id } (id null for plain dates) or null
+ */
+function parseMessageCursor(value) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    try {
+      const { ts, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+      if (Number.isFinite(ts) && typeof id === 'string' && ObjectId.isValid(id)) return { ts, id };
+    } catch (error) {
+      // not a cursor: try it as a date
+    }
+  }
+  return { ts: parseDate(value, 'before').getTime(), id: null };
+}
+
+/**
+ * Build the chat filter for an owner from list query parameters
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} filters - { status, ai, unread, tag, assignee (agent id or 'none'), attr ({ key: value }) }
+ * @param {Array} attributeDefinitions - The owner's attribute definitions (needed for attr filters)
+ * @param {string|null} visibleTo - Agent id: only that agent's and unassigned conversations
+ * @returns {object} - MongoDB filter
+ */
+function buildConversationFilter(ownerId, filters = {}, attributeDefinitions = [], visibleTo = null) {
+  // a closed session that already has a successor is listed through the successor
+  const and = [{ ownerId, nextConversationId: { $exists: false } }];
+
+  if (filters.status) {
+    const statuses = String(filters.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.find(s => !STATUSES.includes(s));
+    if (unknown) throw badRequest(`unknown status "${unknown}"`);
+    // chats created before statuses existed count as open
+    and.push(statuses.includes('open')
+      ? { $or: [{ status: { $in: statuses } }, { status: { $exists: false } }] }
+      : { status: { $in: statuses } });
+  }
+
+  if (filters.ai === 'active') {
+    and.push({ aiActive: { $ne: false } });
+  } else if (filters.ai === 'human') {
+    and.push({ aiActive: false });
+  } else if (filters.ai !== undefined && filters.ai !== '') {
+    throw badRequest('ai must be "active" or "human"');
+  }
+
+  if (filters.unread === 'true') {
+    and.push({ unreadCount: { $gt: 0 } });
+  } else if (filters.unread === 'false') {
+    and.push({ $or: [{ unreadCount: { $lte: 0 } }, { unreadCount: { $exists: false } }] });
+  }
+
+  if (filters.tag) {
+    const tags = String(filters.tag).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    and.push({ tags: { $all: tags } });
+  }
+
+  // attr[plan]=pro&attr[seats]=10: values are parsed with the attribute's type
+  if (filters.attr !== undefined) {
+    if (!filters.attr || typeof filters.attr !== 'object' || Array.isArray(filters.attr)) {
+      throw badRequest('attr filters look like attr[key]=value');
+    }
+    for (const [key, value] of Object.entries(filters.attr)) {
+      const definition = attributeDefinitions.find(def => def.key === key);
+      if (!definition) throw badRequest(`unknown attribute "${key}"`);
+      and.push({ [`attributes.${key}`]: coerceAttributeValue(definition, value) });
+    }
+  }
+
+  if (filters.assignee === 'none') {
+    and.push({ $or: [{ assignedAgentId: null }, { assignedAgentId: { $exists: false } }] });
+  } else if (filters.assignee) {
+    and.push({ assignedAgentId: String(filters.assignee) });
+  }
+
+  if (visibleTo) {
+    and.push({ $or: [{ assignedAgentId: visibleTo }, { assignedAgentId: null }, { assignedAgentId: { $exists: false } }] });
+  }
+
+  return and.length === 1 ? and[0] : { $and: and };
+}
+
+/**
+ * List an owner's conversations, most recent activity first (or oldest with order=asc)
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} query - { cursor, limit, order, status, from, to, ai, unread, tag, assignee, attr }
+ * @param {object} scope - { visibleTo } agent id limiting the list to what that agent may see
+ * @returns {Promise<object>} - { conversations, nextCursor, hasMore }
+ */
+async function listConversations(ownerId, query = {}, { visibleTo = null } = {}) {
+  const limit = parseLimit(query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const order = query.order === 'asc' ? 1 : -1;
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  const activityMatch = {};
+  if (from) activityMatch.$gte = from;
+  if (to) activityMatch.$lte = to;
+
+  const attributeDefinitions = query.attr !== undefined ? await listAttributeDefinitions(ownerId) : [];
+
+  const pipeline = [
+    { $match: buildConversationFilter(ownerId, query, attributeDefinitions, visibleTo) },
+    // older chats may not have lastActivityAt yet
+    { $addFields: { activityAt: { $ifNull: ['$lastActivityAt', '$lastSeen', '$createdAt', { $toDate: '$_id' }] } } },
+  ];
+  if (Object.keys(activityMatch).length) pipeline.push({ $match: { activityAt: activityMatch } });
+  if (cursor) {
+    const op = order === -1 ? '$lt' : '$gt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { activityAt: { [op]: cursor.activityAt } },
+          { activityAt: cursor.activityAt, _id: { [op]: cursor.id } },
+        ],
+      },
+    });
+  }
+  pipeline.push(
+    { $sort: { activityAt: order, _id: order } },
+    { $limit: limit + 1 },
+    {
+      $project: {
+        userId: 1,
+        ownerId: 1,
+        username: 1,
+        useremail: 1,
+        userphone: 1,
+        status: { $ifNull: ['$status', 'open'] },
+        aiActive: { $ne: ['$aiActive', false] },
+        unreadCount: { $ifNull: ['$unreadCount', 0] },
+        tags: { $ifNull: ['$tags', []] },
+        attributes: { $ifNull: ['$attributes', {}] },
+        assignedAgentId: { $ifNull: ['$assignedAgentId', null] },
+        createdAt: 1,
+        lastSeen: 1,
+        activityAt: 1,
+        lastMessage: 1,
+      },
+    }
+  );
+
+  const database = await getDb();
+  const docs = await database.collection('chats').aggregate(pipeline).toArray();
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    conversations: page.map(({ activityAt, ...doc }) => ({ ...doc, lastActivityAt: activityAt })),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    hasMore,
+  };
+}
+
+/**
+ * Page backwards through one conversation's messages
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} query - { before (nextBefore cursor of the previous page, or a date), limit, sessionId (defaults to the current session) }
+ * @returns {Promise<object|null>} - { messages (oldest first), nextBefore, hasMore } or null if not found
+ */
+async function getConversationMessages(ownerId, userId, query = {}) {
+  const limit = parseLimit(query.limit, DEFAULT_MESSAGE_PAGE_SIZE, MAX_MESSAGE_PAGE_SIZE);
+  const before = parseMessageCursor(query.before);
+  const filter = { userId, ownerId };
+  if (query.sessionId) {
+    if (!ObjectId.isValid(String(query.sessionId))) throw badRequest('invalid sessionId');
+    filter._id = new ObjectId(String(query.sessionId));
+  }
+
+  const database = await getDb();
+  const chat = await database.collection('chats').findOne(
+    filter,
+    { sort: { createdAt: -1 }, projection: { _id: 1 } }
+  );
+  if (!chat) return null;
+
+  const { messages, hasMore } = await getMessagesPage(chat._id.toString(), {
+    before: before ? before.ts : null,
+    beforeId: before ? before.id : null,
+    limit,
+  });
+  return {
+    messages,
+    nextBefore: hasMore && messages.length ? encodeMessageCursor(messages[0]) : null,
+    hasMore,
+  };
+}
+
+/**
+ * A visitor's conversation sessions with an owner, newest (current) first
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<Array|null>} - Sessions, or null when the visitor never chatted with the owner
+ */
+async function getVisitorSessions(ownerId, userId) {
+  const sessions = await listSessions(ownerId, userId);
+  if (!sessions.length) return null;
+  return sessions.map(({ _id, ...session }, index) => ({
+    id: _id.toString(),
+    ...session,
+    status: session.status || 'open',
+    tags: session.tags || [],
+    current: index === 0,
+  }));
+}
+
+/**
+ * Page backwards through a visitor's own transcript (restores the widget after its storage was cleared)
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} query - { before (nextBefore cursor of the previous page, or a date), limit }
+ * @returns {Promise<object>} - { messages (oldest first), nextBefore, hasMore }
+ */
+async function getVisitorMessages(userId, query = {}) {
+  const limit = parseLimit(query.limit, DEFAULT_MESSAGE_PAGE_SIZE, MAX_MESSAGE_PAGE_SIZE);
+  const before = parseMessageCursor(query.before);
+
+  const chat = await findConversation(userId);
+  if (!chat) return { messages: [], nextBefore: null, hasMore: false };
+
+  // internal notes are for the owner's team only
+  const { messages, hasMore } = await getMessagesPage(chat._id.toString(), {
+    before: before ? before.ts : null,
+    beforeId: before ? before.id : null,
+    limit,
+    includeInternal: false,
+  });
+  return {
+    messages,
+    nextBefore: hasMore && messages.length ? encodeMessageCursor(messages[0]) : null,
+    hasMore,
+  };
+}
+
+module.exports = {
+  listConversations,
+  getConversationMessages,
+  getVisitorSessions,
+  getVisitorMessages,
+  buildConversationFilter,
+  parseMessageCursor,
+  encodeMessageCursor,
+};
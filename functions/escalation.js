@@ -0,0 +1,146 @@
+/**
+ * escalation.js
+ * Decide when the AI should hand a conversation to a human instead of answering
+ * Signals, checked in this order:
+ *   visitor_request    - the visitor asks for a person ("talk to a human", "real agent", ...)
+ *   negative_sentiment - the visitor is clearly frustrated or angry
+ *   repeated_question  - the visitor keeps rephrasing the same question
+ *   low_confidence     - the owner's knowledge base has nothing relevant to the question
+ * Pure functions: the caller pauses the AI and notifies the team.
+ */
+
+// Best knowledge-base match below this score means the AI would be guessing
+const MIN_RELEVANCE = Number(process.env.ESCALATION_MIN_RELEVANCE || 0.3);
+// Earlier visitor messages this similar to the new one count as the same question
+const REPHRASE_SIMILARITY = 0.5;
+// ...and this many of them among the recent ones make it a repeated question
+const REPHRASE_REPEATS = 2;
+const REPHRASE_WINDOW = 4;
+const NEGATIVE_SCORE_THRESHOLD = 3;
+
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat|connect|transfer)\w*\s+(me\s+)?(to|with)\s+(a|an|the|your|some)?\s*(real\s+|live\s+)?(human|person|agent|representative|rep|operator|someone|somebody)\b/i,
+  /\b(real|live|actual)\s+(human|person|agent|people)\b/i,
+  /\b(human|person|agent|representative|operator)\s+please\b/i,
+  /\b(can|could|may)\s+i\s+(get|have)\s+(a|an)\s+(human|person|agent|representative)\b/i,
+  // "you're not a bot?" (but not "I'm not a robot, the captcha fails")
+  /\b(you\s+are|you'?re|are\s+you)\s+(really\s+)?not\s+(a\s+|an\s+)?(bot|robot|machine|ai)\b/i,
+  /^\s*(human|agent|operator|representative)[.!?]*\s*$/i,
+];
+
+// weights of words and phrases that signal frustration
+const NEGATIVE_TERMS = [
+  [/\b(useless|pointless|worthless|garbage|rubbish|terrible|horrible|awful|pathetic|ridiculous|unacceptable)\b/gi, 2],
+  [/\b(stupid|dumb|idiot\w*|incompetent)\b/gi, 2],
+  [/\b(angry|furious|frustrat\w*|annoy\w*|fed up|sick of|disappoint\w*|upset)\b/gi, 2],
+  [/\b(not|isn'?t|wasn'?t|doesn'?t|don'?t)\s+(helpful|helping|working|work|understand\w*)\b/gi, 2],
+  [/\b(waste of (my )?time|no help|makes no sense|scam|refund|cancel\w*|complain\w*)\b/gi, 1],
+  [/\b(wtf|damn|hell|crap|shit\w*|f+u+c+k\w*)\b/gi, 2],
+  [/!{3,}/g, 1],
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'you', 'your', 'we', 'is', 'are', 'was', 'be', 'to', 'of', 'in', 'on',
+  'for', 'and', 'or', 'it', 'this', 'that', 'do', 'does', 'can', 'how', 'what', 'please', 'again', 'so',
+]);
+
+/**
+ * Does the visitor ask for a human?
+ * @param {string} text - Visitor message
+ * @returns {boolean}
+ */
+function asksForHuman(text) {
+  return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Rough frustration score of a message
+ * @param {string} text - Visitor message
+ * @returns {number} - 0 for neutral, higher is angrier
+ */
+function negativeScore(text) {
+  let score = 0;
+  for (const [pattern, weight] of NEGATIVE_TERMS) {
+    const matches = text.match(pattern);
+    if (matches) score += matches.length * weight;
+  }
+  // shouting: mostly upper-case letters in a message of some length
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 12 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) score += 2;
+  return score;
+}
+
+function keywords(text) {
+  return new Set(
+    String(text).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity of the keywords of two messages
+ * @param {Set<string>} a - Keywords
+ * @param {Set<string>} b - Keywords
+ * @returns {number} - 0..1
+ */
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * How many recent visitor messages ask (nearly) the same as this one
+ * @param {string} text - New visitor message
+ * @param {Array} history - Earlier messages of the session ({ from, text }), oldest first
+ * @returns {number}
+ */
+function countRephrasings(text, history) {
+  const current = keywords(text);
+  return history
+    .filter(message => message.from === 'user' && message.text !== undefined)
+    .slice(-REPHRASE_WINDOW)
+    .filter(message => similarity(current, keywords(message.text)) >= REPHRASE_SIMILARITY)
+    .length;
+}
+
+/**
+ * Check a visitor message for reasons to hand the conversation to a human
+ * @param {object} params
+ * @param {string} params.text - New visitor message
+ * @param {Array} params.history - Earlier messages of the session, oldest first (the new one excluded)
+ * @param {Array|null} params.context - Knowledge-base matches ({ score }); null when not searched.
+ *   An empty list (no knowledge base, or nothing found) is not treated as low confidence
+ * @returns {object|null} - { reason, detail } or null when the AI should answer
+ */
+function evaluateEscalation({ text, history = [], context = null }) {
+  const message = typeof text === 'string' ? text : '';
+  if (!message.trim()) return null;
+
+  if (asksForHuman(message)) return { reason: 'visitor_request', detail: 'The visitor asked for a person' };
+
+  const score = negativeScore(message);
+  if (score >= NEGATIVE_SCORE_THRESHOLD) {
+    return { reason: 'negative_sentiment', detail: `The visitor seems frustrated (score ${score})` };
+  }
+
+  const repeats = countRephrasings(message, history);
+  if (repeats >= REPHRASE_REPEATS) {
+    return { reason: 'repeated_question', detail: `The visitor asked this ${repeats + 1} times` };
+  }
+
+  if (Array.isArray(context) && context.length) {
+    const best = Math.max(...context.map(match => match.score || 0));
+    if (best < MIN_RELEVANCE) {
+      return { reason: 'low_confidence', detail: `No relevant knowledge found (best match ${best.toFixed(2)})` };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  evaluateEscalation,
+  asksForHuman,
+  negativeScore,
+  countRephrasings,
+};
@@ -1,18 +1,13 @@
 /**
  * createAndPrintEmbeddings(input)
  * - input: string or JSON-serializable object
- * - reads OPENAI_API_KEY from process.env (use a .env file)
- * - creates an embedding via OpenAI Embeddings API and prints results
+ * - embeds it with the deployment's embeddings provider (EMBEDDING_PROVIDER, see llmProvider.js)
+ * - prints the result
  */
-async function createAndPrintEmbeddings(input) {
-  // Get API key from environment variables
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  
-  if (!OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY is not set. Please set it in your .env file.');
-    return;
-  }
+require('dotenv').config();
+const { createEmbedding } = require('./llmProvider');
 
+async function createAndPrintEmbeddings(input) {
   let text;
   if (typeof input === 'string') {
     text = input;
@@ -28,55 +23,16 @@ async function createAndPrintEmbeddings(input) {
     return;
   }
 
-  // Use global fetch (Node 18+) or try to require node-fetch as a fallback
-  let fetchFn = global.fetch;
-  if (!fetchFn) {
-    try {
-      // node-fetch v2/v3 may require different import styles; this works in many CommonJS setups
-      // If this fails, please install a compatible fetch (e.g. `npm install node-fetch@2`) or run on Node 18+
-      fetchFn = require('node-fetch');
-    } catch (e) {
-      console.error('No fetch available. Use Node 18+ or install node-fetch.');
-      return;
-    }
-  }
-
-  const url = 'https://api.openai.com/v1/embeddings';
-  const body = { model: 'text-embedding-3-small', input: text };
-
   try {
-    const res = await fetchFn(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify(body),
-    });
-
-    if (!res.ok) {
-      const errText = await res.text();
-      console.error('OpenAI API returned an error:', res.status, errText);
-      return;
-    }
+    const embed = await createEmbedding(text);
 
-    const data = await res.json();
-
-    // Print a concise summary and the full response
+    // Print a concise summary
     console.log('--- Embedding generation result ---');
     console.log('Input (original):', typeof input === 'string' ? input : JSON.stringify(input));
-    console.log('Model:', data.model || 'unknown');
-
-    if (Array.isArray(data.data) && data.data.length > 0) {
-      const embed = data.data[0].embedding;
-      console.log('Embedding length:', embed.length);
-      console.log('Embedding (first 10 dims):', embed.slice(0, 10));
-    }
-
-    console.log('Full response:');
-    console.log(JSON.stringify(data, null, 2));
+    console.log('Embedding length:', embed.length);
+    console.log('Embedding (first 10 dims):', embed.slice(0, 10));
 
-    return data;
+    return embed;
   } catch (err) {
     console.error('Request failed:', err);
   }
@@ -0,0 +1,114 @@
+/**
+ * httpAuth.js
+ * Express authentication helpers for the REST API
+ * Owners authenticate with the same JWT as the dashboard socket
+ * (Authorization: Bearer <token> or the auth_token cookie); visitors send the
+ * signed token the widget socket handed them (X-Visitor-Token header)
+ */
+
+const { AGENT_TOKEN_AUDIENCE, verifyOwnerToken, verifyVisitorToken, getCookie } = require('./socketAuth');
+const { getAgent } = require('./agents');
+
+/**
+ * Get the owner JWT from a request
+ * @param {object} req - Express request
+ * @returns {string|null} - Raw JWT or null
+ */
+function getRequestToken(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '');
+  return getCookie(req.get('Cookie'), 'auth_token');
+}
+
+/**
+ * Resolve the authenticated owner of a request without rejecting it
+ * @param {object} req - Express request
+ * @returns {object|null} - { ownerId, claims } or null when unauthenticated
+ */
+function getRequestOwner(req) {
+  const token = getRequestToken(req);
+  if (!token) return null;
+  try {
+    const claims = verifyOwnerToken(token);
+    return { ownerId: String(claims.userId), claims };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware: require an authenticated owner (or one of their active agents)
+ * Agent tokens outlive deactivation, so the agent is looked up on every request
+ * Sets req.ownerId, req.agentId and req.agentRole (null for the owner account) and req.auth (token claims)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function requireOwnerAuth(req, res, next) {
+  const owner = getRequestOwner(req);
+  if (!owner) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  req.ownerId = owner.ownerId;
+  req.agentId = null;
+  req.agentRole = null;
+  req.auth = owner.claims;
+  if (owner.claims.agentId) {
+    if (owner.claims.aud !== AGENT_TOKEN_AUDIENCE) {
+      return res.status(401).json({ success: false, error: 'Invalid agent token' });
+    }
+    let agent;
+    try {
+      agent = await getAgent(owner.ownerId, String(owner.claims.agentId));
+    } catch (error) {
+      console.error('[auth] agent lookup error', error.message);
+      return res.status(500).json({ success: false, error: 'Agent authentication failed' });
+    }
+    if (!agent || !agent.active) {
+      return res.status(403).json({ success: false, error: 'Agent is not active' });
+    }
+    req.agentId = agent.id;
+    req.agentRole = agent.role;
+  }
+  next();
+}
+
+/**
+ * Express middleware: require the owner account itself (agent tokens are refused)
+ * Use after requireOwnerAuth
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAccountOwner(req, res, next) {
+  if (req.agentId) {
+    return res.status(403).json({ success: false, error: 'Only the account owner can do this' });
+  }
+  next();
+}
+
+/**
+ * Express middleware: require the visitor named in the :userId route parameter
+ * Sets req.visitorId and req.visitorOwnerId (the owner the token was issued for, null for old tokens)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireVisitorAuth(req, res, next) {
+  const userId = req.params.userId;
+  const visitor = verifyVisitorToken(userId, req.get('X-Visitor-Token'));
+  if (!visitor) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  req.visitorId = userId;
+  req.visitorOwnerId = visitor.ownerId;
+  next();
+}
+
+module.exports = {
+  requireOwnerAuth,
+  requireAccountOwner,
+  requireVisitorAuth,
+  getRequestOwner,
+  getRequestToken,
+};
@@ -5,22 +5,18 @@
 
 const { MongoClient, ObjectId } = require('mongodb');
 const { QdrantClient } = require('@qdrant/js-client-rest');
-const OpenAI = require('openai');
+const { createEmbedding, EMBEDDING_DIMENSIONS } = require('./llmProvider');
 
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
 const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
 const QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY || null;
 
-let openai = null;
 let qdrantClient = null;
 let mongoClient = null;
 let db = null;
 
 function initClients() {
-  if (!openai) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
   if (!qdrantClient) {
     qdrantClient = new QdrantClient({
       url: QDRANT_URL,
@@ -39,17 +35,11 @@ async function getDb() {
 }
 
 /**
- * Generate embeddings using OpenAI
+ * Generate embeddings with the deployment's embeddings provider (llmProvider.js)
  */
 async function generateEmbedding(text) {
   try {
-    initClients();
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-      encoding_format: 'float',
-    });
-    return response.data[0].embedding;
+    return await createEmbedding(text);
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw error;
@@ -71,7 +61,7 @@ async function ensureQdrantCollection(ownerId) {
     console.log(`[Qdrant] Creating collection ${collectionName}`);
     await qdrantClient.createCollection(collectionName, {
       vectors: {
-        size: 1536, // text-embedding-3-small dimension
+        size: EMBEDDING_DIMENSIONS, // must match the embedding model
         distance: 'Cosine',
       },
     });
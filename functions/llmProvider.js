@@ -0,0 +1,300 @@
+/**
+ * llmProvider.js
+ * One interface for the language-model APIs the chat uses:
+ *   chat(messages, options)   - complete answer as a string
+ *   stream(messages, options) - same, passing each text chunk to options.onDelta as it arrives
+ *   embed(text)               - embedding vector for the knowledge base
+ * `messages` are OpenAI-style { role: 'system' | 'user' | 'assistant', content };
+ * options: { model, temperature, maxTokens, onDelta }
+ *
+ * Providers (configured through the environment, see .env.example):
+ *   openai            - api.openai.com (OPENAI_BASE_URL can point elsewhere)
+ *   azure             - Azure OpenAI deployments
+ *   anthropic         - Anthropic Messages API (chat only, no embeddings)
+ *   openai_compatible - any server speaking the OpenAI API at OPENAI_COMPATIBLE_BASE_URL
+ *                       (self-hosted models such as Ollama or vLLM)
+ * LLM_PROVIDER picks the deployment's chat provider (owners can pick another configured one,
+ * see aiSettings.js); EMBEDDING_PROVIDER picks the embeddings provider, which has to stay the
+ * same for stored vectors to match.
+ */
+
+require('dotenv').config();
+
+const PROVIDER_NAMES = ['openai', 'azure', 'anthropic', 'openai_compatible'];
+
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_TEMPERATURE = 0.7;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Vector size of the Qdrant collections; must match the embedding model (1536 for text-embedding-3-small)
+const EMBEDDING_DIMENSIONS = Number(process.env.EMBEDDING_DIMENSIONS || 1536);
+
+const adapters = new Map();
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+async function post(provider, url, headers, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`${provider} API error: ${response.status} ${errText}`);
+  }
+  return response;
+}
+
+/**
+ * Read a server-sent events response, passing the data of each event to onData
+ * @param {Response} response - fetch response
+ * @param {Function} onData - (data string) => false to stop reading
+ */
+async function readEventStream(response, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      if (onData(line.slice(5).trim()) === false) return;
+    }
+  }
+}
+
+function forwardDelta(onDelta, delta) {
+  try {
+    onDelta(delta);
+  } catch (error) {
+    console.error('[llm] Error forwarding response chunk:', error);
+  }
+}
+
+/**
+ * Adapter for the OpenAI API shape (OpenAI, Azure OpenAI, compatible servers)
+ * @param {string} name - Provider name
+ * @param {object} config - { endpoint(path, model) => url, headers, chatModel, embeddingModel }
+ * @returns {object} - Provider
+ */
+function openAiStyleAdapter(name, { endpoint, headers, chatModel, embeddingModel }) {
+  async function complete(messages, options, stream) {
+    const model = options.model || chatModel;
+    if (!model) throw new Error(`${name}: no chat model configured`);
+    return post(name, endpoint('chat/completions', model), headers, {
+      model,
+      messages,
+      temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      stream,
+    });
+  }
+
+  return {
+    name,
+    async chat(messages, options = {}) {
+      const data = await (await complete(messages, options, false)).json();
+      return data.choices[0].message.content;
+    },
+    async stream(messages, options = {}) {
+      const response = await complete(messages, options, true);
+      let text = '';
+      await readEventStream(response, (data) => {
+        if (data === '[DONE]') return false;
+        // some servers end with a usage-only chunk without choices
+        const choice = (JSON.parse(data).choices || [])[0];
+        const delta = choice && choice.delta && choice.delta.content;
+        if (!delta) return;
+        text += delta;
+        if (options.onDelta) forwardDelta(options.onDelta, delta);
+      });
+      return text;
+    },
+    async embed(text) {
+      if (!embeddingModel) throw new Error(`${name}: no embedding model configured`);
+      const body = { model: embeddingModel, input: text };
+      if (process.env.EMBEDDING_DIMENSIONS) body.dimensions = EMBEDDING_DIMENSIONS;
+      const data = await (await post(name, endpoint('embeddings', embeddingModel), headers, body)).json();
+      return data.data[0].embedding;
+    },
+  };
+}
+
+/**
+ * Anthropic Messages API: system prompts go separately and turns must alternate, starting with the user
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {object} - { system, messages }
+ */
+function toAnthropicMessages(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const turns = [];
+  for (const { role, content } of messages) {
+    if (role === 'system') continue;
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.content += `\n\n${content}`;
+    else if (last || role === 'user') turns.push({ role, content });
+  }
+  return { system, messages: turns };
+}
+
+function anthropicAdapter({ baseUrl, apiKey, chatModel }) {
+  const headers = { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION };
+
+  function complete(messages, options, stream) {
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    const body = {
+      model: options.model || chatModel,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+      messages: turns,
+      stream,
+    };
+    if (system) body.system = system;
+    return post('anthropic', `${baseUrl}/v1/messages`, headers, body);
+  }
+
+  return {
+    name: 'anthropic',
+    async chat(messages, options = {}) {
+      const data = await (await complete(messages, options, false)).json();
+      return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    },
+    async stream(messages, options = {}) {
+      const response = await complete(messages, options, true);
+      let text = '';
+      await readEventStream(response, (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'message_stop') return false;
+        if (event.type === 'error') throw new Error(`anthropic API error: ${event.error && event.error.message}`);
+        if (event.type !== 'content_block_delta' || !event.delta || event.delta.type !== 'text_delta') return;
+        text += event.delta.text;
+        if (options.onDelta) forwardDelta(options.onDelta, event.delta.text);
+      });
+      return text;
+    },
+    async embed() {
+      throw new Error('anthropic has no embeddings API; set EMBEDDING_PROVIDER to another provider');
+    },
+  };
+}
+
+/**
+ * Build a provider from the environment
+ * @param {string} name - Provider name
+ * @returns {object|null} - Provider, or null when it is not configured
+ */
+function createProvider(name) {
+  const env = process.env;
+  const embeddingModel = env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  switch (name) {
+    case 'openai': {
+      if (!env.OPENAI_API_KEY) return null;
+      const baseUrl = trimSlash(env.OPENAI_BASE_URL || 'https://api.openai.com/v1');
+      return openAiStyleAdapter('openai', {
+        endpoint: path => `${baseUrl}/${path}`,
+        headers: { Authorization: `Bearer ${env.OPENAI_API_KEY}` },
+        chatModel: env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+        embeddingModel,
+      });
+    }
+    case 'azure': {
+      if (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_API_KEY) return null;
+      const endpoint = trimSlash(env.AZURE_OPENAI_ENDPOINT);
+      const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+      // Azure addresses models by deployment name
+      return openAiStyleAdapter('azure', {
+        endpoint: (path, deployment) =>
+          `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/${path}?api-version=${apiVersion}`,
+        headers: { 'api-key': env.AZURE_OPENAI_API_KEY },
+        chatModel: env.AZURE_OPENAI_CHAT_DEPLOYMENT,
+        embeddingModel: env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+      });
+    }
+    case 'anthropic':
+      if (!env.ANTHROPIC_API_KEY) return null;
+      return anthropicAdapter({
+        baseUrl: trimSlash(env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'),
+        apiKey: env.ANTHROPIC_API_KEY,
+        chatModel: env.ANTHROPIC_CHAT_MODEL || 'claude-3-5-haiku-latest',
+      });
+    case 'openai_compatible': {
+      if (!env.OPENAI_COMPATIBLE_BASE_URL) return null;
+      const baseUrl = trimSlash(env.OPENAI_COMPATIBLE_BASE_URL);
+      return openAiStyleAdapter('openai_compatible', {
+        endpoint: path => `${baseUrl}/${path}`,
+        // local model servers usually need no key
+        headers: env.OPENAI_COMPATIBLE_API_KEY ? { Authorization: `Bearer ${env.OPENAI_COMPATIBLE_API_KEY}` } : {},
+        chatModel: env.OPENAI_COMPATIBLE_CHAT_MODEL,
+        embeddingModel: env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || embeddingModel,
+      });
+    }
+    default:
+      return null;
+  }
+}
+
+function defaultProviderName() {
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+/**
+ * Get a configured provider
+ * @param {string|null} name - Provider name (the deployment's LLM_PROVIDER when empty)
+ * @returns {object} - Provider { name, chat, stream, embed }
+ */
+function getProvider(name = null) {
+  const providerName = name || defaultProviderName();
+  if (!PROVIDER_NAMES.includes(providerName)) throw new Error(`Unknown LLM provider: ${providerName}`);
+  if (!adapters.has(providerName)) {
+    const adapter = createProvider(providerName);
+    if (!adapter) throw new Error(`LLM provider ${providerName} is not configured (see .env.example)`);
+    adapters.set(providerName, adapter);
+  }
+  return adapters.get(providerName);
+}
+
+/**
+ * Providers this deployment has credentials for
+ * @returns {Array<string>} - Provider names
+ */
+function listProviders() {
+  return PROVIDER_NAMES.filter(name => adapters.has(name) || createProvider(name));
+}
+
+/**
+ * Generate a chat answer, streamed when options.onDelta is given
+ * @param {Array} messages - OpenAI-style messages
+ * @param {object} options - { provider, model, temperature, maxTokens, onDelta }
+ * @returns {Promise<string>} - Complete answer
+ */
+async function chatCompletion(messages, options = {}) {
+  const { provider, ...rest } = options;
+  const llm = getProvider(provider);
+  return rest.onDelta ? llm.stream(messages, rest) : llm.chat(messages, rest);
+}
+
+/**
+ * Embed text with the deployment's embeddings provider
+ * EMBEDDING_PROVIDER defaults to LLM_PROVIDER, or openai when that is anthropic
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function createEmbedding(text) {
+  const chatProvider = defaultProviderName();
+  const name = process.env.EMBEDDING_PROVIDER || (chatProvider === 'anthropic' ? 'openai' : chatProvider);
+  return getProvider(name).embed(text);
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  EMBEDDING_DIMENSIONS,
+  getProvider,
+  listProviders,
+  chatCompletion,
+  createEmbedding,
+  toAnthropicMessages,
+};
@@ -0,0 +1,297 @@
+/**
+ * messageService.js
+ * Single pipeline every chat message goes through, whatever its source
+ * (visitor, owner, AI, system, or an internal note of the owner's team):
+ *   1. normalise fields and assign an id
+ *   2. persist exactly once (messageStore)
+ *   3. fan out to the visitor and/or owner sockets
+ *   4. run registered hooks (AI reply, AI handoff, buffers, ...)
+ *
+ * Senders may attach a `clientMessageId`; a resend with the same id returns the
+ * stored message (flagged `duplicate`) without persisting, delivering or
+ * triggering hooks again.
+ *
+ * Streamed messages (the AI's answers) are sent as `message:delta` chunks first and
+ * then persisted like any other message, carrying the same `streamId` so clients can
+ * replace the text they built up with the stored message.
+ *
+ * Recipients acknowledge `message` events; the first acknowledgement from the
+ * other party stores `deliveredAt` and sends `message:delivered` to the sender's
+ * side. `message:read` receipts store `readAt` per message the same way.
+ *
+ * Socket routing is injected by index.js through configureMessageService so
+ * this module does not depend on the Socket.IO server.
+ */
+
+const { randomUUID } = require('crypto');
+const { appendMessage, findByClientMessageId, getMessagesAfter, markDelivered, markRead } = require('./messageStore');
+
+// 'note': internal note left by the owner or an agent; stored in the transcript but only
+// delivered to the owner's team (never to the visitor, the replay or the AI history)
+const SOURCES = ['user', 'owner', 'ai', 'system', 'note'];
+
+// Client message ids are opaque strings (UUIDs in practice)
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+// Sources whose messages are shown to the visitor
+const VISITOR_VISIBLE = ['owner', 'ai', 'system'];
+
+// Chunks of a streamed message arriving within this window go out as one message:delta
+const DELTA_FLUSH_MS = 50;
+
+let transport = {
+  emitToVisitor: () => {},
+  emitToOwner: () => {},
+};
+const hooks = [];
+
+/**
+ * Configure how messages reach sockets
+ * Both functions may return (a promise of) the number of sockets that acknowledged the event
+ * @param {object} options - { emitToVisitor(userId, event, payload), emitToOwner(ownerId, event, payload) }
+ */
+function configureMessageService({ emitToVisitor, emitToOwner }) {
+  transport = { emitToVisitor, emitToOwner };
+}
+
+/**
+ * Register a hook that runs after a message was persisted and delivered
+ * Hooks run in registration order and never block the sender; errors are logged
+ * @param {Function} hook - async (message) => void
+ */
+function onMessage(hook) {
+  hooks.push(hook);
+}
+
+async function runHooks(message) {
+  for (const hook of hooks) {
+    try {
+      await hook(message);
+    } catch (error) {
+      console.error('[messages] hook error:', error);
+    }
+  }
+}
+
+/**
+ * Chat document updates implied by a message source
+ * @param {string} from - Message source
+ * @returns {object} - { set, inc }
+ */
+function chatUpdateFor(from) {
+  if (from === 'user') return { set: {}, inc: { unreadCount: 1 } };
+  // the owner replying means they have seen the visitor's messages
+  if (from === 'owner') return { set: { unreadCount: 0 }, inc: {} };
+  return { set: {}, inc: {} };
+}
+
+/**
+ * Validate a client-generated message id
+ * @param {*} value - Raw id from the socket payload
+ * @returns {string|null} - The id, or null when none was given
+ */
+function normalizeClientMessageId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(value)) {
+    const error = new Error('Invalid clientMessageId');
+    error.statusCode = 400;
+    throw error;
+  }
+  return value;
+}
+
+function isDuplicateKeyError(error) {
+  return !!error && error.code === 11000;
+}
+
+/**
+ * Send a chat message through the pipeline
+ * @param {object} params
+ * @param {string} params.userId - Visitor the conversation belongs to
+ * @param {string|null} params.ownerId - Owner of the conversation (if known)
+ * @param {string} params.from - 'user' | 'owner' | 'ai' | 'system' | 'note'
+ * @param {string} params.text - Message text
+ * @param {object} params.extra - Additional fields persisted with the message
+ * @param {object} params.ownerExtras - Fields only added to the owner's copy (not persisted)
+ * @param {string} params.clientMessageId - Sender-generated id used to deduplicate resends
+ * @returns {Promise<object>} - Stored message (with `duplicate: true` for a resend)
+ */
+async function sendMessage({ userId, ownerId = null, from, text, extra = {}, ownerExtras = {}, clientMessageId = null }) {
+  if (!userId) throw new Error('userId is required');
+  if (!SOURCES.includes(from)) throw new Error(`Unknown message source: ${from}`);
+  clientMessageId = normalizeClientMessageId(clientMessageId);
+
+  if (clientMessageId) {
+    const existing = await findByClientMessageId(userId, from, clientMessageId);
+    if (existing) return { ...existing, duplicate: true };
+  }
+
+  const { set, inc } = chatUpdateFor(from);
+  let message;
+  try {
+    message = await appendMessage({
+      userId,
+      ownerId,
+      message: {
+        ...extra,
+        ...(clientMessageId ? { clientMessageId } : {}),
+        from,
+        text: typeof text === 'string' ? text : String(text ?? ''),
+        ts: Date.now(),
+      },
+      set,
+      inc,
+    });
+  } catch (error) {
+    // the same message raced in on another socket/process; its first copy wins
+    if (clientMessageId && isDuplicateKeyError(error)) {
+      const existing = await findByClientMessageId(userId, from, clientMessageId);
+      if (existing) return { ...existing, duplicate: true };
+    }
+    throw error;
+  }
+
+  try {
+    const visitorDelivery = VISITOR_VISIBLE.includes(from)
+      ? transport.emitToVisitor(userId, 'message', message)
+      : null;
+    // every source is mirrored to the owner's dashboard sessions (the sender's other tabs included)
+    const ownerDelivery = transport.emitToOwner(message.ownerId, 'message', { ...message, ...ownerExtras });
+
+    // delivered = acknowledged by the other party
+    trackDelivery(message, from === 'user' ? ownerDelivery : visitorDelivery);
+  } catch (error) {
+    console.error('[messages] fan-out error:', error);
+  }
+
+  runHooks(message).catch(error => console.error('[messages] hooks failed:', error));
+  return message;
+}
+
+/**
+ * Stream a message: chunks go out live as `message:delta` { streamId, userId, from, seq, delta }
+ * (to the visitor for visitor-visible sources, and to the owner's team); finish() then sends the
+ * complete message through the pipeline with the same `streamId`. Chunks are never persisted.
+ * @param {object} params - { userId, ownerId, from }
+ * @returns {object} - { streamId, push(delta), finish({ text, extra }) => Promise<stored message> }
+ */
+function createMessageStream({ userId, ownerId = null, from }) {
+  if (!SOURCES.includes(from)) throw new Error(`Unknown message source: ${from}`);
+  const streamId = randomUUID();
+  let seq = 0;
+  let pending = '';
+  let timer = null;
+  // owner delivery is async (presence lookup); chain it so chunks cannot overtake each other
+  let ownerQueue = Promise.resolve();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const payload = { streamId, userId, from, seq: seq++, delta: pending };
+    pending = '';
+    try {
+      if (VISITOR_VISIBLE.includes(from)) transport.emitToVisitor(userId, 'message:delta', payload);
+    } catch (error) {
+      console.error('[messages] delta fan-out error:', error);
+    }
+    ownerQueue = ownerQueue
+      .then(() => transport.emitToOwner(ownerId, 'message:delta', payload))
+      .catch(error => console.error('[messages] delta fan-out error:', error));
+  }
+
+  return {
+    streamId,
+    push(delta) {
+      if (typeof delta !== 'string' || !delta) return;
+      pending += delta;
+      if (!timer) timer = setTimeout(flush, DELTA_FLUSH_MS);
+    },
+    async finish({ text, extra = {} }) {
+      flush();
+      await ownerQueue;
+      return sendMessage({ userId, ownerId, from, text, extra: { ...extra, streamId } });
+    },
+  };
+}
+
+/**
+ * Store deliveredAt once the recipient acknowledged and tell the sender's side
+ * @param {object} message - Stored message
+ * @param {Promise<number>|number|null} delivery - Acknowledging socket count
+ */
+function trackDelivery(message, delivery) {
+  if (delivery === null || delivery === undefined) return;
+  Promise.resolve(delivery)
+    .then(async (acks) => {
+      if (!acks) return;
+      const deliveredAt = await markDelivered(message.id);
+      if (!deliveredAt) return;
+      const receipt = { id: message.id, userId: message.userId, deliveredAt };
+      if (message.from === 'user') {
+        transport.emitToVisitor(message.userId, 'message:delivered', receipt);
+      } else {
+        transport.emitToOwner(message.ownerId, 'message:delivered', receipt);
+      }
+    })
+    .catch(error => console.error('[messages] delivery tracking error:', error));
+}
+
+/**
+ * Messages the visitor missed since the last one their widget has seen
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} since - { lastSeenId, lastSeenTs }
+ * @returns {Promise<object>} - { messages (oldest first), hasMore }
+ */
+async function getMissedMessages(userId, { lastSeenId = null, lastSeenTs = null } = {}) {
+  const afterTs = Number(lastSeenTs);
+  return getMessagesAfter(userId, {
+    afterId: typeof lastSeenId === 'string' ? lastSeenId : null,
+    afterTs: lastSeenTs !== null && Number.isFinite(afterTs) ? afterTs : null,
+    fromSources: VISITOR_VISIBLE,
+  });
+}
+
+/**
+ * Record delivery of messages the visitor acknowledged outside the live fan-out (e.g. a replay)
+ * @param {Array<object>} messages - Messages the visitor received
+ */
+function confirmDelivered(messages) {
+  for (const message of messages) {
+    if (!message.deliveredAt) trackDelivery(message, 1);
+  }
+}
+
+/**
+ * Handle a read receipt from the visitor or the owner
+ * The visitor reads owner/AI/system messages; the owner reads the visitor's messages
+ * (which also clears the chat's unread counter)
+ * @param {object} params - { userId, reader: 'user'|'owner', messageIds, upTo }
+ * @returns {Promise<object>} - { ownerId, messageIds (newly read), readAt }
+ */
+async function markMessagesRead({ userId, reader, messageIds = null, upTo = null }) {
+  const fromSources = reader === 'owner' ? ['user'] : VISITOR_VISIBLE;
+  const result = await markRead(userId, {
+    fromSources,
+    messageIds,
+    upTo,
+    resetUnread: reader === 'owner',
+  });
+  if (!result.messageIds.length) return result;
+
+  const receipt = { userId, messageIds: result.messageIds, readAt: result.readAt, by: reader };
+  if (reader === 'owner') transport.emitToVisitor(userId, 'message:read', receipt);
+  // owner reads are echoed too, so the owner's other dashboard sessions stay in sync
+  transport.emitToOwner(result.ownerId, 'message:read', receipt);
+  return result;
+}
+
+module.exports = {
+  configureMessageService,
+  createMessageStream,
+  onMessage,
+  sendMessage,
+  markMessagesRead,
+  getMissedMessages,
+  confirmDelivered,
+};
@@ -0,0 +1,418 @@
+/**
+ * messageStore.js
+ * Persistence for chat messages
+ * Messages live in their own `messages` collection (one document per message,
+ * indexed by conversationId + ts) instead of growing the chat document's
+ * `conversation` array. The chat document only keeps a `lastMessage` summary.
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+// Length of the text preview kept on the chat document
+const PREVIEW_LENGTH = 200;
+// Upper bound of messages marked read by a single receipt
+const MAX_READ_BATCH = 500;
+// Upper bound of messages replayed to a reconnecting visitor at once
+const MAX_REPLAY_BATCH = 200;
+// Sources only the owner's team may see (never the visitor or the AI)
+const INTERNAL_SOURCES = ['note'];
+// Visitor fields a new conversation session starts with
+const CARRIED_FIELDS = ['ownerId', 'username', 'useremail', 'userphone', 'attributes'];
+// A visitor writing after this much silence starts a new session (0 disables)
+const SESSION_INACTIVITY_MS = Number(process.env.SESSION_INACTIVITY_HOURS ?? 24) * 60 * 60 * 1000;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await ensureIndexes(db);
+  }
+  return db;
+}
+
+/**
+ * Create the indexes the message queries rely on
+ * @param {object} database - MongoDB database
+ */
+async function ensureIndexes(database) {
+  // a visitor's sessions, newest first (see ensureConversation)
+  await database.collection('chats').createIndex({ userId: 1, createdAt: -1 });
+  const messages = database.collection('messages');
+  await messages.createIndex({ conversationId: 1, ts: 1 });
+  await messages.createIndex({ userId: 1, ts: 1 });
+  // lets the migration re-run safely (see migrations/splitConversationMessages.js)
+  await messages.createIndex(
+    { conversationId: 1, legacyIndex: 1 },
+    { unique: true, partialFilterExpression: { legacyIndex: { $exists: true } } }
+  );
+  // a resent message (same client-generated id) is stored only once
+  await messages.createIndex(
+    { userId: 1, from: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+  );
+}
+
+/**
+ * Convert a stored message document into the shape sent to clients
+ * @param {object} doc - Message document
+ * @returns {object} - Message with string `id`
+ */
+function toMessage(doc) {
+  if (!doc) return null;
+  const { _id, legacyIndex, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Short summary of a message stored on the chat document for list views
+ * @param {object} message - Message (with id)
+ * @returns {object} - { id, from, text, ts }
+ */
+function summarize(message) {
+  const text = typeof message.text === 'string' ? message.text.slice(0, PREVIEW_LENGTH) : message.text;
+  return { id: message.id, from: message.from, text, ts: message.ts };
+}
+
+/**
+ * Get (or create) the chat document for a visitor
+ * A visitor's chat documents are conversation sessions; the newest one is current. A session
+ * ends when it is closed (resolved with a new session requested) or, for the visitor's own
+ * messages, after SESSION_INACTIVITY_HOURS without activity; the next write that asks for it
+ * starts its successor
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} options - { ownerId, set, inc, startIfClosed, startIfInactive }
+ *   set/inc: extra chat fields to update
+ *   startIfClosed: start a new session when the current one is closed (new messages do this)
+ *   startIfInactive: also when the current one has been inactive too long (visitor messages)
+ * @returns {Promise<object>} - Chat document
+ */
+async function ensureConversation(userId, { ownerId = null, set = {}, inc = {}, startIfClosed = false, startIfInactive = false } = {}) {
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const update = {
+    $setOnInsert: { userId, createdAt: new Date() },
+    $set: { ...set },
+  };
+  if (ownerId) update.$set.ownerId = ownerId;
+  if (Object.keys(inc).length) update.$inc = inc;
+
+  let filter = { userId };
+  if (startIfClosed || startIfInactive) {
+    const current = await findConversation(userId);
+    const reason = current && sessionEndReason(current, { closed: startIfClosed, inactive: startIfInactive });
+    if (reason) {
+      filter = { _id: await successorId(chats, current, reason) };
+      Object.assign(update.$setOnInsert, carriedFields(current, update), {
+        status: 'open',
+        previousConversationId: current._id.toString(),
+      });
+    }
+  }
+  if (!Object.keys(update.$set).length) delete update.$set;
+
+  return chats.findOneAndUpdate(
+    filter,
+    update,
+    { upsert: true, returnDocument: 'after', sort: { createdAt: -1 } }
+  );
+}
+
+/**
+ * Why a session should not take new messages any more
+ * @param {object} chat - Current chat document
+ * @param {object} check - { closed, inactive } which reasons count
+ * @returns {string|null} - 'closed' | 'inactive', or null while the session goes on
+ */
+function sessionEndReason(chat, { closed, inactive }) {
+  if (chat.closedAt) return closed ? 'closed' : null;
+  if (!inactive || !SESSION_INACTIVITY_MS || !chat.lastActivityAt) return null;
+  return Date.now() - new Date(chat.lastActivityAt).getTime() > SESSION_INACTIVITY_MS ? 'inactive' : null;
+}
+
+/**
+ * Visitor fields copied from a closed session into its successor
+ * Fields the same write already sets are left to that write
+ * @param {object} chat - Closed chat document
+ * @param {object} update - Pending update ($set/$inc)
+ * @returns {object} - Fields for $setOnInsert
+ */
+function carriedFields(chat, update) {
+  const fields = {};
+  for (const name of CARRIED_FIELDS) {
+    if (chat[name] === undefined) continue;
+    if ((update.$set && name in update.$set) || (update.$inc && name in update.$inc)) continue;
+    fields[name] = chat[name];
+  }
+  return fields;
+}
+
+/**
+ * Id of the session that follows an ended one; the first writer picks it so concurrent
+ * messages all land in the same new session. An inactive session is closed on the way
+ * @param {object} chats - chats collection
+ * @param {object} closed - Ended chat document
+ * @param {string} reason - 'closed' | 'inactive'
+ * @returns {Promise<ObjectId>} - Successor chat id
+ */
+async function successorId(chats, closed, reason) {
+  if (closed.nextConversationId) return closed.nextConversationId;
+  const candidate = new ObjectId();
+  const set = { nextConversationId: candidate };
+  if (reason === 'inactive') Object.assign(set, { closedAt: new Date(), closeReason: 'inactive' });
+  const claimed = await chats.findOneAndUpdate(
+    { _id: closed._id, nextConversationId: { $exists: false } },
+    { $set: set },
+    { returnDocument: 'after' }
+  );
+  if (claimed) return candidate;
+  const doc = await chats.findOne({ _id: closed._id }, { projection: { nextConversationId: 1 } });
+  return doc.nextConversationId;
+}
+
+/**
+ * Store a message and update the chat's activity fields
+ * @param {object} params - { userId, ownerId, message, set, inc }
+ *   message: { from, text, ts, ...extra }
+ *   set/inc: extra chat document fields to $set / $inc in the same write
+ * @returns {Promise<object>} - Stored message (with id and conversationId)
+ */
+async function appendMessage({ userId, ownerId = null, message, set = {}, inc = {} }) {
+  const database = await getDb();
+  const ts = message.ts || Date.now();
+  const _id = new ObjectId();
+  // team notes are not conversation activity: they neither move the chat up the list nor
+  // become its preview
+  const internal = INTERNAL_SOURCES.includes(message.from);
+
+  const chat = await ensureConversation(userId, {
+    ownerId,
+    inc,
+    set: internal ? set : { ...set, lastActivityAt: new Date(ts) },
+    // a team note stays with the closed session; only the visitor coming back after a long
+    // silence starts a new one (a late reply from the team continues the old session)
+    startIfClosed: !internal,
+    startIfInactive: message.from === 'user',
+  });
+
+  const doc = {
+    ...message,
+    _id,
+    conversationId: chat._id.toString(),
+    userId,
+    ownerId: ownerId || chat.ownerId || null,
+    ts,
+  };
+  delete doc.id;
+  await database.collection('messages').insertOne(doc);
+
+  const stored = toMessage(doc);
+  if (!internal) {
+    await database.collection('chats').updateOne({ _id: chat._id }, { $set: { lastMessage: summarize(stored) } });
+  }
+  return stored;
+}
+
+/**
+ * Find a message by the id its sender generated
+ * @param {string} userId - Visitor the conversation belongs to
+ * @param {string} from - Message source
+ * @param {string} clientMessageId - Client-generated id
+ * @returns {Promise<object|null>} - Stored message or null
+ */
+async function findByClientMessageId(userId, from, clientMessageId) {
+  const database = await getDb();
+  const doc = await database.collection('messages').findOne({ userId, from, clientMessageId });
+  return toMessage(doc);
+}
+
+/**
+ * Find a visitor's current chat document without creating one
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<object|null>} - Chat document or null
+ */
+async function findConversation(userId) {
+  const database = await getDb();
+  return database.collection('chats').findOne({ userId }, { sort: { createdAt: -1 } });
+}
+
+/**
+ * A visitor's conversation sessions with one owner, newest first
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} userId - Visitor's unique ID
+ * @param {number} limit - Maximum number of sessions
+ * @returns {Promise<Array>} - Chat documents (summary fields only)
+ */
+async function listSessions(ownerId, userId, limit = 50) {
+  const database = await getDb();
+  return database.collection('chats')
+    .find({ userId, ownerId }, {
+      projection: {
+        userId: 1, ownerId: 1, status: 1, createdAt: 1, lastActivityAt: 1, closedAt: 1, closeReason: 1,
+        resolvedAt: 1, previousConversationId: 1, assignedAgentId: 1, tags: 1, lastMessage: 1,
+      },
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Get the most recent messages of a visitor's conversation, oldest first
+ * @param {string} userId - Visitor's unique ID
+ * @param {number} limit - Number of messages
+ * @param {object} options - { includeInternal } (false leaves out internal notes)
+ * @returns {Promise<Array>} - Messages
+ */
+async function getRecentMessages(userId, limit = 10, { includeInternal = true } = {}) {
+  const chat = await findConversation(userId);
+  if (!chat) return [];
+  const page = await getMessagesPage(chat._id.toString(), { limit, includeInternal });
+  return page.messages;
+}
+
+/**
+ * Page backwards through a conversation's messages
+ * @param {string} conversationId - Chat document id
+ * @param {object} options - { before (ts in ms), beforeId (id of the message at `before`: older
+ *   messages of the same ms are kept; without it the whole ms is excluded), limit, includeInternal }
+ * @returns {Promise<object>} - { messages (oldest first), hasMore }
+ */
+async function getMessagesPage(conversationId, { before = null, beforeId = null, limit = 50, includeInternal = true } = {}) {
+  const database = await getDb();
+  const filter = { conversationId };
+  if (before && beforeId && ObjectId.isValid(beforeId)) {
+    filter.$or = [{ ts: { $lt: before } }, { ts: before, _id: { $lt: new ObjectId(beforeId) } }];
+  } else if (before) {
+    filter.ts = { $lt: before };
+  }
+  if (!includeInternal) filter.from = { $nin: INTERNAL_SOURCES };
+
+  const docs = await database.collection('messages')
+    .find(filter)
+    .sort({ ts: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = docs.length > limit;
+  return {
+    messages: docs.slice(0, limit).reverse().map(toMessage),
+    hasMore,
+  };
+}
+
+/**
+ * Messages of a visitor's conversation newer than the last one a client has seen, oldest first
+ * The cutoff is the last seen message id or, when the id is unknown here, its timestamp
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} options - { afterId, afterTs (ms), fromSources, limit }
+ * @returns {Promise<object>} - { messages, hasMore }
+ */
+async function getMessagesAfter(userId, { afterId = null, afterTs = null, fromSources = null, limit = MAX_REPLAY_BATCH } = {}) {
+  const database = await getDb();
+  const messages = database.collection('messages');
+  const chat = await findConversation(userId);
+  if (!chat) return { messages: [], hasMore: false };
+
+  const conversationId = chat._id.toString();
+  const filter = { conversationId };
+  const last = afterId && ObjectId.isValid(afterId)
+    ? await messages.findOne({ _id: new ObjectId(afterId), conversationId }, { projection: { ts: 1 } })
+    : null;
+  if (last) {
+    filter.$or = [{ ts: { $gt: last.ts } }, { ts: last.ts, _id: { $gt: last._id } }];
+  } else if (Number.isFinite(afterTs)) {
+    filter.ts = { $gt: afterTs };
+  } else {
+    return { messages: [], hasMore: false };
+  }
+  if (fromSources) filter.from = { $in: fromSources };
+
+  const size = Math.min(limit, MAX_REPLAY_BATCH);
+  const docs = await messages.find(filter).sort({ ts: 1, _id: 1 }).limit(size + 1).toArray();
+  return {
+    messages: docs.slice(0, size).map(toMessage),
+    hasMore: docs.length > size,
+  };
+}
+
+/**
+ * Record that a message reached at least one recipient socket
+ * @param {string} messageId - Message id
+ * @returns {Promise<Date|null>} - deliveredAt, or null if it was already marked
+ */
+async function markDelivered(messageId) {
+  const database = await getDb();
+  const deliveredAt = new Date();
+  const result = await database.collection('messages').updateOne(
+    { _id: new ObjectId(messageId), deliveredAt: { $exists: false } },
+    { $set: { deliveredAt } }
+  );
+  return result.modifiedCount ? deliveredAt : null;
+}
+
+/**
+ * Mark messages of a conversation as read
+ * @param {string} userId - Visitor the conversation belongs to
+ * @param {object} options
+ * @param {Array<string>} options.fromSources - Sources the reader can read (e.g. ['user'] for the owner)
+ * @param {Array<string>} options.messageIds - Explicit ids to mark
+ * @param {string} options.upTo - Mark everything up to and including this message
+ * @param {boolean} options.resetUnread - Also clear the chat's unreadCount (owner reads)
+ * @returns {Promise<object>} - { conversationId, ownerId, messageIds (newly read), readAt }
+ */
+async function markRead(userId, { fromSources, messageIds = null, upTo = null, resetUnread = false }) {
+  const database = await getDb();
+  const messages = database.collection('messages');
+  const readAt = new Date();
+  const chat = await findConversation(userId);
+  if (!chat) return { conversationId: null, ownerId: null, messageIds: [], readAt };
+
+  const conversationId = chat._id.toString();
+  const none = { conversationId, ownerId: chat.ownerId || null, messageIds: [], readAt };
+  if (resetUnread) {
+    await database.collection('chats').updateOne({ _id: chat._id }, { $set: { unreadCount: 0 } });
+  }
+  const filter = { conversationId, from: { $in: fromSources }, readAt: { $exists: false } };
+  if (Array.isArray(messageIds) && messageIds.length) {
+    filter._id = { $in: messageIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) };
+  } else if (upTo && ObjectId.isValid(upTo)) {
+    const last = await messages.findOne({ _id: new ObjectId(upTo), conversationId }, { projection: { ts: 1 } });
+    if (!last) return none;
+    filter.ts = { $lte: last.ts };
+  } else {
+    return none;
+  }
+
+  const unread = await messages.find(filter, { projection: { _id: 1 } }).limit(MAX_READ_BATCH).toArray();
+  if (!unread.length) return none;
+
+  const ids = unread.map(doc => doc._id);
+  await messages.updateMany({ _id: { $in: ids } }, { $set: { readAt } });
+  return { ...none, messageIds: ids.map(id => id.toString()) };
+}
+
+module.exports = {
+  INTERNAL_SOURCES,
+  getDb,
+  ensureIndexes,
+  ensureConversation,
+  findConversation,
+  listSessions,
+  findByClientMessageId,
+  markDelivered,
+  markRead,
+  appendMessage,
+  getRecentMessages,
+  getMessagesPage,
+  getMessagesAfter,
+  toMessage,
+  summarize,
+};
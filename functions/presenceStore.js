@@ -0,0 +1,457 @@
+/**
+ * presenceStore.js
+ * Presence and session store for the chat server
+ * Tracks which visitor/owner sockets are online plus per-visitor session data
+ * (metadata and buffered messages) so that routing works across processes
+ *
+ * Agent sockets (team members of an owner) are tracked per owner so new
+ * conversations can be assigned to someone who is online
+ *
+ * Online visitors are also indexed by owner (name, email, current page,
+ * connected-since) so a dashboard can list its visitors without scanning
+ * every connected socket
+ *
+ * Two implementations share the same async interface:
+ *  - memory: process-local Maps (single process / development)
+ *  - mongo:  shared MongoDB collections (pm2 cluster mode, several hosts)
+ *
+ * Select with PRESENCE_STORE=memory|mongo (default: memory)
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { MongoClient } = require('mongodb');
+
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+
+// Keep at most this many buffered messages per visitor session
+const MAX_BUFFERED_MESSAGES = 50;
+// Socket entries of a crashed process expire once they stop being refreshed
+const SOCKET_TTL_SECONDS = 90;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Visitor session data (metadata/buffer) expires after a day without updates
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+const ADAPTER_COLLECTION = 'socket_io_adapter_events';
+
+// Fields a visitor presence entry may carry besides userId/ownerId/connectedSince
+const VISITOR_INFO_FIELDS = ['username', 'useremail', 'page', 'title'];
+
+/**
+ * Keep only the known visitor presence fields that were actually given
+ * @param {object} info - Raw info (metadata, handshake data, ...)
+ * @returns {object} - Sanitised subset
+ */
+function pickVisitorInfo(info = {}) {
+  const picked = {};
+  for (const field of VISITOR_INFO_FIELDS) {
+    if (info[field] !== undefined) picked[field] = info[field];
+  }
+  return picked;
+}
+
+/**
+ * Create a process-local presence store
+ * @returns {object} - Presence store
+ */
+function createMemoryPresenceStore() {
+  // userId -> Set of socketIds
+  const userSockets = new Map();
+  // ownerId -> Set of socketIds
+  const ownerSockets = new Map();
+  // agentId -> Set of socketIds
+  const agentSockets = new Map();
+  // agentId -> ownerId the agent works for
+  const agentOwner = new Map();
+  // userId -> metadata object
+  const metadata = new Map();
+  // userId -> array of buffered messages
+  const messages = new Map();
+  // ownerId -> Map(userId -> visitor presence entry)
+  const ownerVisitors = new Map();
+  // userId -> ownerId the visitor is indexed under
+  const visitorOwner = new Map();
+
+  function addSocket(map, key, socketId) {
+    const sockets = map.get(key) || new Set();
+    sockets.add(socketId);
+    map.set(key, sockets);
+    return sockets.size;
+  }
+
+  function removeSocket(map, key, socketId) {
+    const sockets = map.get(key);
+    if (!sockets) return 0;
+    sockets.delete(socketId);
+    if (sockets.size === 0) map.delete(key);
+    return sockets.size;
+  }
+
+  function removeVisitor(userId) {
+    const ownerId = visitorOwner.get(userId);
+    if (!ownerId) return null;
+    const visitors = ownerVisitors.get(ownerId);
+    const entry = visitors.get(userId) || null;
+    visitors.delete(userId);
+    if (visitors.size === 0) ownerVisitors.delete(ownerId);
+    visitorOwner.delete(userId);
+    return entry;
+  }
+
+  return {
+    type: 'memory',
+
+    async addUserSocket(userId, socketId) {
+      return addSocket(userSockets, userId, socketId);
+    },
+
+    async removeUserSocket(userId, socketId) {
+      return removeSocket(userSockets, userId, socketId);
+    },
+
+    async isUserOnline(userId) {
+      return userSockets.has(userId);
+    },
+
+    async listOnlineUsers() {
+      return Array.from(userSockets.keys());
+    },
+
+    async addOwnerSocket(ownerId, socketId) {
+      return addSocket(ownerSockets, ownerId, socketId);
+    },
+
+    async removeOwnerSocket(ownerId, socketId) {
+      return removeSocket(ownerSockets, ownerId, socketId);
+    },
+
+    async isOwnerOnline(ownerId) {
+      return ownerSockets.has(ownerId);
+    },
+
+    async addAgentSocket(ownerId, agentId, socketId) {
+      agentOwner.set(agentId, ownerId);
+      return addSocket(agentSockets, agentId, socketId);
+    },
+
+    async removeAgentSocket(ownerId, agentId, socketId) {
+      const remaining = removeSocket(agentSockets, agentId, socketId);
+      if (remaining === 0) agentOwner.delete(agentId);
+      return remaining;
+    },
+
+    async listOnlineAgents(ownerId) {
+      return Array.from(agentOwner.entries())
+        .filter(([, owner]) => owner === ownerId)
+        .map(([agentId]) => agentId);
+    },
+
+    async setVisitorPresence(ownerId, userId, info = {}) {
+      const previousOwner = visitorOwner.get(userId);
+      const previous = previousOwner ? ownerVisitors.get(previousOwner).get(userId) : null;
+      if (previousOwner && previousOwner !== ownerId) removeVisitor(userId);
+
+      const entry = { ...(previous || {}), ...pickVisitorInfo(info), userId, ownerId };
+      entry.connectedSince = (previous && previous.connectedSince) || new Date();
+      const visitors = ownerVisitors.get(ownerId) || new Map();
+      visitors.set(userId, entry);
+      ownerVisitors.set(ownerId, visitors);
+      visitorOwner.set(userId, ownerId);
+      return entry;
+    },
+
+    async updateVisitorPresence(userId, info) {
+      const ownerId = visitorOwner.get(userId);
+      if (!ownerId) return null;
+      const visitors = ownerVisitors.get(ownerId);
+      const entry = { ...visitors.get(userId), ...pickVisitorInfo(info) };
+      visitors.set(userId, entry);
+      return entry;
+    },
+
+    async removeVisitorPresence(userId) {
+      return removeVisitor(userId);
+    },
+
+    async listOwnerVisitors(ownerId) {
+      const visitors = ownerVisitors.get(ownerId);
+      return visitors ? Array.from(visitors.values()) : [];
+    },
+
+    async getMetadata(userId) {
+      return metadata.get(userId) || null;
+    },
+
+    async setMetadata(userId, meta) {
+      metadata.set(userId, meta);
+    },
+
+    async deleteMetadata(userId) {
+      metadata.delete(userId);
+    },
+
+    async appendMessage(userId, message) {
+      const arr = messages.get(userId) || [];
+      arr.push(message);
+      if (arr.length > MAX_BUFFERED_MESSAGES) arr.splice(0, arr.length - MAX_BUFFERED_MESSAGES);
+      messages.set(userId, arr);
+    },
+
+    async getMessages(userId) {
+      return messages.get(userId) || [];
+    },
+
+    async clearMessages(userId) {
+      messages.delete(userId);
+    },
+  };
+}
+
+/**
+ * Create a MongoDB-backed presence store shared by every server process
+ * One document per connected socket lives in `presence_sockets`; each process
+ * refreshes its own entries so sockets of a crashed process expire via TTL
+ * @param {object} options - { uri, dbName }
+ * @returns {object} - Presence store
+ */
+function createMongoPresenceStore(options = {}) {
+  const uri = options.uri || MONGO_URI;
+  const dbName = options.dbName || MONGO_DB;
+  const instanceId = crypto.randomBytes(8).toString('hex');
+
+  let dbPromise = null;
+
+  function getDb() {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        const client = new MongoClient(uri);
+        await client.connect();
+        const db = client.db(dbName);
+        await db.collection('presence_sockets').createIndex({ kind: 1, key: 1 });
+        await db.collection('presence_sockets').createIndex({ kind: 1, ownerId: 1 });
+        await db.collection('presence_sockets').createIndex({ seenAt: 1 }, { expireAfterSeconds: SOCKET_TTL_SECONDS });
+        await db.collection('presence_sessions').createIndex({ updatedAt: 1 }, { expireAfterSeconds: SESSION_TTL_SECONDS });
+        await db.collection('presence_visitors').createIndex({ ownerId: 1 });
+        await db.collection('presence_visitors').createIndex({ seenAt: 1 }, { expireAfterSeconds: SOCKET_TTL_SECONDS });
+        console.log('[presence] mongo store ready, instance', instanceId);
+        return db;
+      })().catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function sockets() {
+    return (await getDb()).collection('presence_sockets');
+  }
+
+  async function sessions() {
+    return (await getDb()).collection('presence_sessions');
+  }
+
+  async function visitors() {
+    return (await getDb()).collection('presence_visitors');
+  }
+
+  function toVisitor(doc) {
+    if (!doc) return null;
+    const { _id, instanceId: _instance, seenAt, ...rest } = doc;
+    return { userId: _id, ...rest };
+  }
+
+  async function addSocket(kind, key, socketId, extra = {}) {
+    const col = await sockets();
+    await col.updateOne(
+      { _id: socketId },
+      { $set: { ...extra, kind, key, instanceId, seenAt: new Date() }, $setOnInsert: { connectedAt: new Date() } },
+      { upsert: true }
+    );
+    return col.countDocuments({ kind, key });
+  }
+
+  async function removeSocket(kind, key, socketId) {
+    const col = await sockets();
+    await col.deleteOne({ _id: socketId });
+    return col.countDocuments({ kind, key });
+  }
+
+  // keep this process' socket entries alive
+  const heartbeat = setInterval(async () => {
+    try {
+      const seenAt = new Date();
+      await (await sockets()).updateMany({ instanceId }, { $set: { seenAt } });
+      await (await visitors()).updateMany({ instanceId }, { $set: { seenAt } });
+    } catch (error) {
+      console.error('[presence] heartbeat error:', error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  if (heartbeat.unref) heartbeat.unref();
+
+  return {
+    type: 'mongo',
+    instanceId,
+    getDb,
+
+    async addUserSocket(userId, socketId) {
+      return addSocket('user', userId, socketId);
+    },
+
+    async removeUserSocket(userId, socketId) {
+      return removeSocket('user', userId, socketId);
+    },
+
+    async isUserOnline(userId) {
+      const col = await sockets();
+      return (await col.countDocuments({ kind: 'user', key: userId }, { limit: 1 })) > 0;
+    },
+
+    async listOnlineUsers() {
+      const col = await sockets();
+      return col.distinct('key', { kind: 'user' });
+    },
+
+    async addOwnerSocket(ownerId, socketId) {
+      return addSocket('owner', ownerId, socketId);
+    },
+
+    async removeOwnerSocket(ownerId, socketId) {
+      return removeSocket('owner', ownerId, socketId);
+    },
+
+    async isOwnerOnline(ownerId) {
+      const col = await sockets();
+      return (await col.countDocuments({ kind: 'owner', key: ownerId }, { limit: 1 })) > 0;
+    },
+
+    async addAgentSocket(ownerId, agentId, socketId) {
+      return addSocket('agent', agentId, socketId, { ownerId });
+    },
+
+    async removeAgentSocket(ownerId, agentId, socketId) {
+      return removeSocket('agent', agentId, socketId);
+    },
+
+    async listOnlineAgents(ownerId) {
+      const col = await sockets();
+      return col.distinct('key', { kind: 'agent', ownerId });
+    },
+
+    async setVisitorPresence(ownerId, userId, info = {}) {
+      const col = await visitors();
+      const doc = await col.findOneAndUpdate(
+        { _id: userId },
+        {
+          $set: { ...pickVisitorInfo(info), ownerId, instanceId, seenAt: new Date() },
+          $setOnInsert: { connectedSince: new Date() },
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return toVisitor(doc);
+    },
+
+    async updateVisitorPresence(userId, info) {
+      const col = await visitors();
+      const doc = await col.findOneAndUpdate(
+        { _id: userId },
+        { $set: pickVisitorInfo(info) },
+        { returnDocument: 'after' }
+      );
+      return toVisitor(doc);
+    },
+
+    async removeVisitorPresence(userId) {
+      const col = await visitors();
+      return toVisitor(await col.findOneAndDelete({ _id: userId }));
+    },
+
+    async listOwnerVisitors(ownerId) {
+      const docs = await (await visitors()).find({ ownerId }).toArray();
+      if (!docs.length) return [];
+      // drop entries whose sockets are gone (their process died before cleaning up)
+      const online = new Set(await (await sockets()).distinct('key', { kind: 'user', key: { $in: docs.map(d => d._id) } }));
+      return docs.filter(doc => online.has(doc._id)).map(toVisitor);
+    },
+
+    async getMetadata(userId) {
+      const col = await sessions();
+      const doc = await col.findOne({ _id: userId }, { projection: { metadata: 1 } });
+      return doc?.metadata || null;
+    },
+
+    async setMetadata(userId, meta) {
+      const col = await sessions();
+      await col.updateOne({ _id: userId }, { $set: { metadata: meta, updatedAt: new Date() } }, { upsert: true });
+    },
+
+    async deleteMetadata(userId) {
+      const col = await sessions();
+      await col.updateOne({ _id: userId }, { $unset: { metadata: '' } });
+    },
+
+    async appendMessage(userId, message) {
+      const col = await sessions();
+      await col.updateOne(
+        { _id: userId },
+        {
+          $push: { messages: { $each: [message], $slice: -MAX_BUFFERED_MESSAGES } },
+          $set: { updatedAt: new Date() },
+        },
+        { upsert: true }
+      );
+    },
+
+    async getMessages(userId) {
+      const col = await sessions();
+      const doc = await col.findOne({ _id: userId }, { projection: { messages: 1 } });
+      return doc?.messages || [];
+    },
+
+    async clearMessages(userId) {
+      const col = await sessions();
+      await col.updateOne({ _id: userId }, { $unset: { messages: '' } });
+    },
+  };
+}
+
+/**
+ * Create the presence store selected by PRESENCE_STORE
+ * @param {string} type - 'memory' or 'mongo' (defaults to env / memory)
+ * @returns {object} - Presence store
+ */
+function createPresenceStore(type = process.env.PRESENCE_STORE || 'memory') {
+  if (type === 'mongo') return createMongoPresenceStore();
+  if (type !== 'memory') console.warn(`[presence] unknown PRESENCE_STORE "${type}", using memory`);
+  return createMemoryPresenceStore();
+}
+
+/**
+ * Attach the MongoDB Socket.IO adapter so room broadcasts reach sockets held
+ * by other processes. Only needed with the mongo store. Events go through a capped
+ * collection that the adapter reads with a change stream, so MongoDB must run as a
+ * replica set (a single node is enough)
+ * @param {object} io - Socket.IO server
+ * @param {object} store - Presence store from createPresenceStore()
+ */
+async function attachSocketAdapter(io, store) {
+  if (store.type !== 'mongo') return;
+
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+  const db = await store.getDb();
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    // collection already exists
+  }
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  console.log('[presence] socket.io mongo adapter attached');
+}
+
+module.exports = {
+  createPresenceStore,
+  createMemoryPresenceStore,
+  createMongoPresenceStore,
+  attachSocketAdapter,
+};
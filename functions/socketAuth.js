@@ -0,0 +1,328 @@
+/**
+ * socketAuth.js
+ * Socket.IO handshake authentication
+ * Owners (dashboard sockets) must present a valid JWT; the owner id is taken
+ * from the token claims, never from the query string. Team agents use a JWT with
+ * the `agent` audience instead (see signAgentToken)
+ * Visitors (widget sockets) prove their userId with a server-signed HMAC token
+ * bound to the owner whose widget they use, issued on their first connection and
+ * renewed on every later one
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Audience of agent tokens; they carry ownerId instead of userId
+const AGENT_TOKEN_AUDIENCE = 'agent';
+
+// Visitor tokens are renewed on every connection; a visitor away for longer starts over
+const VISITOR_TOKEN_TTL_MS = Number(process.env.VISITOR_TOKEN_TTL_DAYS || 180) * 24 * 60 * 60 * 1000;
+
+/**
+ * Build a connect error the client receives in its `connect_error` handler
+ * @param {string} message - Human readable message
+ * @param {string} code - Machine readable code (err.data.code on the client)
+ * @returns {Error} - Error with `data` payload
+ */
+function authError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Read a cookie value from a raw Cookie header
+ * @param {string} cookieHeader - Raw Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Decoded cookie value or null
+ */
+function getCookie(cookieHeader, name) {
+  if (!cookieHeader) return null;
+  try {
+    const match = cookieHeader.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+    return match ? decodeURIComponent(match[1]) : null;
+  } catch (error) {
+    console.error('[auth] cookie parse error', error);
+    return null;
+  }
+}
+
+/**
+ * Get the owner JWT from the handshake: `auth.token` payload first, then the auth_token cookie
+ * @param {object} handshake - socket.handshake
+ * @returns {string|null} - Raw JWT or null
+ */
+function getOwnerToken(handshake) {
+  const auth = handshake.auth || {};
+  if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+  return getCookie(handshake.headers && handshake.headers.cookie, 'auth_token');
+}
+
+/**
+ * Verify an owner JWT and return its claims
+ * Agent tokens (audience `agent`) are accepted too; their ownerId is returned as userId
+ * @param {string} token - Raw JWT
+ * @returns {object} - Decoded claims (userId, plus agentId for agent tokens)
+ * @throws {Error} - When the secret is missing or the token is invalid
+ */
+function verifyOwnerToken(token) {
+  if (!process.env.JWT_SECRET) {
+    throw authError('Server authentication is not configured', 'AUTH_NOT_CONFIGURED');
+  }
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw authError('Invalid or expired token', 'TOKEN_INVALID');
+  }
+  if (claims && claims.aud === AGENT_TOKEN_AUDIENCE) {
+    if (!claims.ownerId || !claims.agentId) throw authError('Invalid agent token', 'TOKEN_INVALID');
+    return { ...claims, userId: claims.ownerId };
+  }
+  // agent claims are only trusted with the agent audience
+  if (!claims || !claims.userId || claims.agentId) {
+    throw authError('Token does not identify an owner', 'TOKEN_INVALID');
+  }
+  return claims;
+}
+
+/**
+ * Issue a dashboard token for a team agent of an owner
+ * The owner goes in ownerId (not userId) and the audience is `agent`, so other services that
+ * accept owner tokens signed with the same secret do not take it for the owner's own token
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} agentId - Agent id
+ * @param {string} expiresIn - jsonwebtoken expiry (default 30 days)
+ * @returns {string} - Signed JWT ({ ownerId, agentId, aud: 'agent' })
+ */
+function signAgentToken(ownerId, agentId, expiresIn = '30d') {
+  if (!process.env.JWT_SECRET) {
+    throw authError('Server authentication is not configured', 'AUTH_NOT_CONFIGURED');
+  }
+  return jwt.sign({ ownerId, agentId }, process.env.JWT_SECRET, { expiresIn, audience: AGENT_TOKEN_AUDIENCE });
+}
+
+/**
+ * Secret used to sign visitor tokens (falls back to JWT_SECRET)
+ * @returns {string|null} - Secret or null when not configured
+ */
+function getVisitorSecret() {
+  return process.env.VISITOR_TOKEN_SECRET || process.env.JWT_SECRET || null;
+}
+
+function visitorSignature(secret, userId, payload) {
+  return crypto.createHmac('sha256', secret).update(`visitor:${userId}:${payload}`).digest('base64url');
+}
+
+/**
+ * Sign a visitor id for the owner whose widget the visitor uses
+ * @param {string} userId - Visitor's unique ID
+ * @param {string|null} ownerId - Owner the visitor belongs to (null while unknown)
+ * @param {number} expiresAt - Expiry (epoch ms); defaults to VISITOR_TOKEN_TTL_DAYS from now
+ * @returns {string} - Token `<payload>.<signature>` (payload: base64url JSON { o: ownerId, e: expiresAt })
+ */
+function signVisitorToken(userId, ownerId = null, expiresAt = Date.now() + VISITOR_TOKEN_TTL_MS) {
+  const secret = getVisitorSecret();
+  if (!secret) {
+    throw authError('Server authentication is not configured', 'AUTH_NOT_CONFIGURED');
+  }
+  const payload = Buffer.from(JSON.stringify({ o: ownerId || null, e: expiresAt })).toString('base64url');
+  return `${payload}.${visitorSignature(secret, userId, payload)}`;
+}
+
+function signaturesMatch(actual, expected) {
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check that a visitor token was issued for the given id (and owner)
+ * Tokens issued before they carried an owner (plain hex HMAC of the id) are still accepted;
+ * the socket middleware replaces them on the next connection
+ * @param {string} userId - Claimed visitor ID
+ * @param {string} token - Token sent by the widget
+ * @param {object} options - { ownerId } rejects tokens issued for another owner
+ * @returns {object|null} - { ownerId, expiresAt } (both null for old tokens), or null when invalid
+ */
+function verifyVisitorToken(userId, token, { ownerId = null } = {}) {
+  if (!userId || !token || typeof token !== 'string') return null;
+  const secret = getVisitorSecret();
+  if (!secret) {
+    throw authError('Server authentication is not configured', 'AUTH_NOT_CONFIGURED');
+  }
+
+  if (/^[0-9a-f]{64}$/.test(token)) {
+    const legacy = crypto.createHmac('sha256', secret).update(`visitor:${userId}`).digest('hex');
+    return signaturesMatch(token, legacy) ? { ownerId: null, expiresAt: null } : null;
+  }
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  if (!signaturesMatch(signature, visitorSignature(secret, userId, payload))) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!claims || typeof claims.e !== 'number' || claims.e <= Date.now()) return null;
+  if (ownerId && claims.o && claims.o !== String(ownerId)) return null;
+  return { ownerId: claims.o || null, expiresAt: claims.e };
+}
+
+/**
+ * Generate a fresh visitor id
+ * @returns {string} - New visitor ID
+ */
+function generateVisitorId() {
+  return 'u_' + crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Create the Socket.IO middleware that authenticates visitor (`role=user`) connections
+ * - userId + valid visitorToken (auth payload): accepted as that visitor
+ * - userId + invalid, expired or other owner's token: rejected
+ * - no token: first connection; the claimed id is kept only if the server has never
+ *   seen it, otherwise a new id is generated
+ * The visitor's owner is the one in the token; tokens without one (first connection, old
+ * tokens) take the owner of the visitor's chat, or the widget's ownerId for a new visitor.
+ * Every accepted connection gets a renewed token bound to that owner, left on
+ * socket.data.issuedVisitorToken for the connection handler to send to the widget
+ * On success sets socket.data.visitorId and socket.data.visitorOwnerId
+ * @param {object} options
+ * @param {Function} options.isKnownVisitor - async (userId) => boolean
+ * @param {Function} options.getVisitorOwner - async (userId) => owner id of the visitor's chat, or null
+ * @returns {Function} - Socket.IO middleware
+ */
+function createVisitorAuthMiddleware({ isKnownVisitor, getVisitorOwner }) {
+  return async function visitorAuthMiddleware(socket, next) {
+    const query = socket.handshake.query || {};
+    if ((query.role || 'user') === 'owner') return next();
+
+    const auth = socket.handshake.auth || {};
+    const claimedId = auth.userId || query.userId || null;
+    const token = auth.visitorToken || null;
+    const widgetOwnerId = query.ownerId ? String(query.ownerId) : null;
+
+    try {
+      let visitorId;
+      let ownerId = null;
+      if (token) {
+        const claims = verifyVisitorToken(claimedId, token, { ownerId: widgetOwnerId });
+        if (!claims) {
+          console.log('[auth] rejected visitor socket', socket.id, 'invalid token for', claimedId);
+          return next(authError('Invalid visitor token', 'VISITOR_TOKEN_INVALID'));
+        }
+        visitorId = String(claimedId);
+        ownerId = claims.ownerId;
+      } else {
+        // no token yet: never hand out a token for an id that already has history
+        visitorId = claimedId ? String(claimedId) : null;
+        if (!visitorId || await isKnownVisitor(visitorId)) {
+          if (visitorId) console.log('[auth] unsigned claim for existing visitor', visitorId, '- issuing a new id');
+          visitorId = generateVisitorId();
+        }
+      }
+
+      if (!ownerId) {
+        const chatOwnerId = token ? await getVisitorOwner(visitorId) : null;
+        if (chatOwnerId && widgetOwnerId && chatOwnerId !== widgetOwnerId) {
+          console.log('[auth] rejected visitor socket', socket.id, visitorId, 'belongs to another owner');
+          return next(authError('Invalid visitor token', 'VISITOR_TOKEN_INVALID'));
+        }
+        ownerId = chatOwnerId || widgetOwnerId;
+      }
+
+      socket.data.visitorId = visitorId;
+      socket.data.visitorOwnerId = ownerId;
+      socket.data.issuedVisitorToken = signVisitorToken(visitorId, ownerId);
+      next();
+    } catch (error) {
+      console.error('[auth] visitor auth error', error.message);
+      next(error.data ? error : authError('Visitor authentication failed', 'VISITOR_AUTH_FAILED'));
+    }
+  };
+}
+
+/**
+ * Create the Socket.IO middleware that resolves team agents on owner connections
+ * Runs after ownerAuthMiddleware; tokens without an agentId claim are the owner account
+ * itself. On success sets socket.data.agentId and socket.data.agentRole
+ * @param {object} options - { getAgent: async (ownerId, agentId) => agent|null }
+ * @returns {Function} - Socket.IO middleware
+ */
+function createAgentAuthMiddleware({ getAgent }) {
+  return async function agentAuthMiddleware(socket, next) {
+    const claims = socket.data.auth;
+    if (!claims || !claims.agentId) return next();
+    if (claims.aud !== AGENT_TOKEN_AUDIENCE) {
+      console.log('[auth] rejected agent socket', socket.id, 'token without the agent audience');
+      return next(authError('Invalid agent token', 'TOKEN_INVALID'));
+    }
+
+    try {
+      const agent = await getAgent(socket.data.ownerUserId, String(claims.agentId));
+      if (!agent || !agent.active) {
+        console.log('[auth] rejected agent socket', socket.id, 'unknown or inactive agent', claims.agentId);
+        return next(authError('Agent is not active', 'AGENT_INACTIVE'));
+      }
+      socket.data.agentId = agent.id;
+      socket.data.agentRole = agent.role;
+      next();
+    } catch (error) {
+      console.error('[auth] agent auth error', error.message);
+      next(authError('Agent authentication failed', 'AGENT_AUTH_FAILED'));
+    }
+  };
+}
+
+/**
+ * Socket.IO middleware: authenticate `role=owner` connections
+ * On success sets socket.data.ownerUserId and socket.data.auth (token claims)
+ * Visitor connections pass through untouched
+ * @param {object} socket - Socket.IO socket
+ * @param {Function} next - Middleware callback
+ */
+function ownerAuthMiddleware(socket, next) {
+  const query = socket.handshake.query || {};
+  if ((query.role || 'user') !== 'owner') return next();
+
+  const token = getOwnerToken(socket.handshake);
+  if (!token) {
+    return next(authError('Authentication required', 'TOKEN_MISSING'));
+  }
+
+  let claims;
+  try {
+    claims = verifyOwnerToken(token);
+  } catch (error) {
+    console.log('[auth] rejected owner socket', socket.id, error.data?.code || error.message);
+    return next(error);
+  }
+
+  const ownerUserId = String(claims.userId);
+  if (query.ownerId && String(query.ownerId) !== ownerUserId) {
+    console.log('[auth] rejected owner socket', socket.id, 'ownerId mismatch', query.ownerId, '!=', ownerUserId);
+    return next(authError('ownerId does not match the authenticated owner', 'OWNER_MISMATCH'));
+  }
+
+  socket.data.ownerUserId = ownerUserId;
+  socket.data.auth = claims;
+  next();
+}
+
+module.exports = {
+  ownerAuthMiddleware,
+  createVisitorAuthMiddleware,
+  createAgentAuthMiddleware,
+  AGENT_TOKEN_AUDIENCE,
+  signAgentToken,
+  signVisitorToken,
+  verifyVisitorToken,
+  verifyOwnerToken,
+  getOwnerToken,
+  getCookie,
+  authError,
+};
@@ -8,6 +8,7 @@ require('dotenv').config();
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const fs = require('fs').promises;
 const path = require('path');
+const { createEmbedding, EMBEDDING_DIMENSIONS } = require('./llmProvider');
 
 // Initialize Qdrant client
 const qdrantClient = new QdrantClient({
@@ -16,39 +17,13 @@ const qdrantClient = new QdrantClient({
 });
 
 /**
- * Generate OpenAI embeddings for text
+ * Generate embeddings for text with the deployment's embeddings provider
  * @param {string} text - Text to generate embeddings for
  * @returns {Promise<number[]>} - Embedding vector
  */
 async function generateEmbedding(text) {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY not set in environment variables');
-  }
-
-  const url = 'https://api.openai.com/v1/embeddings';
-  const body = {
-    model: 'text-embedding-3-small',
-    input: text,
-  };
-
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify(body),
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} ${errText}`);
-    }
-
-    const data = await response.json();
-    return data.data[0].embedding;
+    return await createEmbedding(text);
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw error;
@@ -69,10 +44,10 @@ async function ensureOwnerCollection(ownerId) {
     const exists = collections.collections.some(c => c.name === collectionName);
     
     if (!exists) {
-      // Create collection with proper vector size (1536 for text-embedding-3-small)
+      // Create collection with the embedding model's vector size
       await qdrantClient.createCollection(collectionName, {
         vectors: {
-          size: 1536,
+          size: EMBEDDING_DIMENSIONS,
           distance: 'Cosine',
         },
       });
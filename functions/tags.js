@@ -0,0 +1,221 @@
+/**
+ * tags.js
+ * Per-owner tag definitions ("billing", "lead", "bug", ...) and the tags applied
+ * to conversations. A conversation's tags live on its chat document (`tags` array)
+ * so the conversation list can filter on them directly; only defined tags can be applied.
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+const { findConversation } = require('./messageStore');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const TAG_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_TAGS_PER_OWNER = 200;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('tags').createIndex({ ownerId: 1, name: 1 }, { unique: true });
+    await db.collection('chats').createIndex({ ownerId: 1, tags: 1 });
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toTag(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Normalise a tag name: trimmed, lower case, single spaces
+ * @param {*} value - Raw name
+ * @returns {string} - Tag name
+ */
+function normalizeTagName(value) {
+  const name = typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+  if (!TAG_NAME_PATTERN.test(name)) {
+    throw httpError('tag names may only contain letters, digits, spaces, "-" and "_" (max 40)');
+  }
+  return name;
+}
+
+/**
+ * Validate tag fields from a request body
+ * @param {object} body - { name, color, description }
+ * @param {boolean} partial - Only validate the fields that are present
+ * @returns {object} - Fields to store
+ */
+function parseTagFields(body = {}, partial = false) {
+  const fields = {};
+  if (body.name !== undefined || !partial) fields.name = normalizeTagName(body.name);
+  if (body.color !== undefined) {
+    if (body.color !== null && !COLOR_PATTERN.test(String(body.color))) throw httpError('color must look like #a1b2c3');
+    fields.color = body.color || null;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw httpError('description must be a string');
+    fields.description = body.description ? body.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) : null;
+  }
+  return fields;
+}
+
+/**
+ * List an owner's tag definitions, alphabetically
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<Array>} - Tags
+ */
+async function listTags(ownerId) {
+  const database = await getDb();
+  const docs = await database.collection('tags').find({ ownerId }).sort({ name: 1 }).toArray();
+  return docs.map(toTag);
+}
+
+/**
+ * Define a tag
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { name, color, description }
+ * @returns {Promise<object>} - Created tag
+ */
+async function createTag(ownerId, body) {
+  const database = await getDb();
+  const tags = database.collection('tags');
+  const doc = { color: null, description: null, ...parseTagFields(body), ownerId, createdAt: new Date() };
+  if ((await tags.countDocuments({ ownerId })) >= MAX_TAGS_PER_OWNER) {
+    throw httpError(`An owner can define at most ${MAX_TAGS_PER_OWNER} tags`, 409);
+  }
+  try {
+    const result = await tags.insertOne(doc);
+    return toTag({ ...doc, _id: result.insertedId });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(`Tag "${doc.name}" already exists`, 409);
+    throw error;
+  }
+}
+
+/**
+ * Update a tag; renaming it renames it on every tagged conversation too
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Tag id
+ * @param {object} body - Fields to change
+ * @returns {Promise<object|null>} - Updated tag or null if not found
+ */
+async function updateTag(ownerId, id, body) {
+  if (!ObjectId.isValid(id)) return null;
+  const fields = parseTagFields(body, true);
+  const database = await getDb();
+  const tags = database.collection('tags');
+  const existing = await tags.findOne({ _id: new ObjectId(id), ownerId });
+  if (!existing) return null;
+
+  let doc;
+  try {
+    doc = await tags.findOneAndUpdate({ _id: existing._id }, { $set: fields }, { returnDocument: 'after' });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(`Tag "${fields.name}" already exists`, 409);
+    throw error;
+  }
+  if (fields.name && fields.name !== existing.name) {
+    await database.collection('chats').updateMany(
+      { ownerId, tags: existing.name },
+      { $set: { 'tags.$[tag]': fields.name } },
+      { arrayFilters: [{ tag: existing.name }] }
+    );
+  }
+  return toTag(doc);
+}
+
+/**
+ * Delete a tag and remove it from every conversation
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Tag id
+ * @returns {Promise<object|null>} - Deleted tag or null if not found
+ */
+async function deleteTag(ownerId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  const database = await getDb();
+  const doc = await database.collection('tags').findOneAndDelete({ _id: new ObjectId(id), ownerId });
+  if (!doc) return null;
+  await database.collection('chats').updateMany({ ownerId, tags: doc.name }, { $pull: { tags: doc.name } });
+  return toTag(doc);
+}
+
+/**
+ * Add or remove tags on a visitor's current conversation
+ * @param {string} ownerId - Owner's unique ID (the conversation must belong to them)
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} changes - { add: [names], remove: [names] }
+ * @returns {Promise<object>} - { userId, conversationId, tags, added, removed }
+ */
+async function updateConversationTags(ownerId, userId, { add = [], remove = [] } = {}) {
+  if (!Array.isArray(add) || !Array.isArray(remove)) throw httpError('add and remove must be arrays of tag names');
+  const toAdd = [...new Set(add.map(normalizeTagName))];
+  const toRemove = [...new Set(remove.map(normalizeTagName))].filter(name => !toAdd.includes(name));
+  if (!toAdd.length && !toRemove.length) throw httpError('Nothing to change');
+
+  const chat = await findConversation(userId);
+  if (!chat || chat.ownerId !== ownerId) throw httpError('Conversation not found', 404);
+
+  const database = await getDb();
+  if (toAdd.length) {
+    const defined = await database.collection('tags')
+      .find({ ownerId, name: { $in: toAdd } }, { projection: { name: 1 } })
+      .toArray();
+    const known = new Set(defined.map(tag => tag.name));
+    const unknown = toAdd.find(name => !known.has(name));
+    if (unknown) throw httpError(`Unknown tag "${unknown}"`);
+  }
+
+  const update = {};
+  if (toAdd.length) update.$addToSet = { tags: { $each: toAdd } };
+  if (toRemove.length) update.$pullAll = { tags: toRemove };
+  // $addToSet and $pullAll on the same array cannot share one update
+  let doc = chat;
+  for (const [op, value] of Object.entries(update)) {
+    doc = await database.collection('chats').findOneAndUpdate(
+      { _id: chat._id },
+      { [op]: value },
+      { returnDocument: 'after', projection: { tags: 1 } }
+    );
+  }
+
+  const previous = new Set(chat.tags || []);
+  const tags = (doc && doc.tags) || [];
+  return {
+    userId,
+    conversationId: chat._id.toString(),
+    tags,
+    added: toAdd.filter(name => !previous.has(name)),
+    removed: toRemove.filter(name => previous.has(name)),
+  };
+}
+
+module.exports = {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  updateConversationTags,
+};
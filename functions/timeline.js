@@ -0,0 +1,79 @@
+/**
+ * timeline.js
+ * Conversation timeline: team-facing events of a conversation (assignments,
+ * transfers with their handover notes, ...). Entries are never shown to the
+ * visitor; they live next to the messages in `conversation_events`
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { findConversation } = require('./messageStore');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const MAX_TIMELINE_EVENTS = 500;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('conversation_events').createIndex({ conversationId: 1, ts: 1 });
+  }
+  return db;
+}
+
+function toEvent(doc) {
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Append an event to a visitor's current conversation
+ * @param {string} userId - Visitor's unique ID
+ * @param {string} type - Event type ('assigned', 'transfer', ...)
+ * @param {object} data - Event fields (by, agent ids, note, ...)
+ * @returns {Promise<object|null>} - Stored event, or null when the visitor has no conversation
+ */
+async function recordEvent(userId, type, data = {}) {
+  const chat = await findConversation(userId);
+  if (!chat) return null;
+  const database = await getDb();
+  const doc = {
+    ...data,
+    type,
+    conversationId: chat._id.toString(),
+    userId,
+    ownerId: chat.ownerId || null,
+    ts: Date.now(),
+  };
+  const result = await database.collection('conversation_events').insertOne(doc);
+  return toEvent({ ...doc, _id: result.insertedId });
+}
+
+/**
+ * Timeline of a visitor's current conversation, oldest first
+ * @param {string} ownerId - Owner's unique ID (the conversation must belong to them)
+ * @param {string} userId - Visitor's unique ID
+ * @returns {Promise<Array|null>} - Events, or null when the conversation is not the owner's
+ */
+async function getTimeline(ownerId, userId) {
+  const chat = await findConversation(userId);
+  if (!chat || chat.ownerId !== ownerId) return null;
+  const database = await getDb();
+  const docs = await database.collection('conversation_events')
+    .find({ conversationId: chat._id.toString() })
+    .sort({ ts: 1, _id: 1 })
+    .limit(MAX_TIMELINE_EVENTS)
+    .toArray();
+  return docs.map(toEvent);
+}
+
+module.exports = {
+  recordEvent,
+  getTimeline,
+};
@@ -0,0 +1,73 @@
+/**
+ * typingIndicator.js
+ * Server-side typing state for visitor, owner and AI
+ * Throttles repeated `typing:start` signals and automatically emits
+ * `typing:stop` when a typist goes quiet (client closed the tab, lost
+ * the connection, never sent stop, ...)
+ */
+
+// Repeated starts within this window only refresh the expiry timer
+const THROTTLE_MS = 2000;
+// A typist that sent no start for this long is considered stopped
+const EXPIRE_MS = 6000;
+
+/**
+ * Create a typing tracker
+ * @param {object} options
+ * @param {Function} options.emit - (target, event, payload) => void; target is whatever start() received
+ * @param {number} options.throttleMs - Minimum delay between forwarded starts
+ * @param {number} options.expireMs - Auto-stop delay
+ * @returns {object} - { start, stop, isTyping }
+ */
+function createTypingTracker({ emit, throttleMs = THROTTLE_MS, expireMs = EXPIRE_MS }) {
+  // key -> { target, payload, lastEmit, timer }
+  const active = new Map();
+
+  function keyOf(payload) {
+    return `${payload.from}:${payload.userId}`;
+  }
+
+  /**
+   * Stop a typist and forward `typing:stop` if they were typing
+   * @param {object} payload - { userId, from }
+   */
+  function stop(payload) {
+    const key = keyOf(payload);
+    const entry = active.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    active.delete(key);
+    emit(entry.target, 'typing:stop', { userId: payload.userId, from: payload.from });
+  }
+
+  /**
+   * Register typing activity and forward `typing:start` (throttled)
+   * @param {*} target - Where to deliver the events (passed back to emit)
+   * @param {object} payload - { userId, from, ...extra } sent with the event
+   * @param {object} options - { expireMs } override (e.g. longer for the AI)
+   */
+  function start(target, payload, options = {}) {
+    const key = keyOf(payload);
+    const now = Date.now();
+    const entry = active.get(key) || { lastEmit: 0 };
+
+    clearTimeout(entry.timer);
+    entry.target = target;
+    entry.timer = setTimeout(() => stop(payload), options.expireMs || expireMs);
+    if (entry.timer.unref) entry.timer.unref();
+
+    if (now - entry.lastEmit >= throttleMs) {
+      entry.lastEmit = now;
+      emit(target, 'typing:start', payload);
+    }
+    active.set(key, entry);
+  }
+
+  function isTyping(payload) {
+    return active.has(keyOf(payload));
+  }
+
+  return { start, stop, isTyping };
+}
+
+module.exports = { createTypingTracker };
@@ -0,0 +1,244 @@
+/**
+ * visitorAttributes.js
+ * Typed custom attributes about visitors, beyond the fixed username/useremail/userphone
+ * Each owner defines their attributes (key, label, type); values are stored under
+ * `attributes.<key>` on every chat document (session) of the visitor, so they follow
+ * the visitor into new sessions and the conversation list can filter on them.
+ *
+ * Types: text, number, boolean, date, select (one of `options`)
+ * Only the owner's team sets values, except for attributes defined with `visitorWritable`,
+ * which the widget may set as well (the team routes and segments on the others)
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+let mongoClient = null;
+let db = null;
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_ATTRIBUTES_PER_OWNER = 50;
+const MAX_TEXT_VALUE_LENGTH = 500;
+const MAX_SELECT_OPTIONS = 50;
+
+async function getDb() {
+  if (!db) {
+    mongoClient = new MongoClient(MONGO_URI);
+    await mongoClient.connect();
+    db = mongoClient.db(MONGO_DB);
+    await db.collection('attribute_definitions').createIndex({ ownerId: 1, key: 1 }, { unique: true });
+  }
+  return db;
+}
+
+/**
+ * Build an error the route turns into a given HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDefinition(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Validate the options of a select attribute
+ * @param {*} options - Raw options
+ * @returns {Array<string>} - Distinct, trimmed options
+ */
+function parseOptions(options) {
+  if (!Array.isArray(options) || !options.length) throw httpError('select attributes need a non-empty options array');
+  const values = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+  if (values.length > MAX_SELECT_OPTIONS) throw httpError(`select attributes can have at most ${MAX_SELECT_OPTIONS} options`);
+  return values;
+}
+
+/**
+ * Validate attribute definition fields; key and type are fixed once created
+ * @param {object} body - { key, label, type, options, visitorWritable }
+ * @param {object|null} existing - Stored definition when updating
+ * @returns {object} - Fields to store
+ */
+function parseDefinitionFields(body = {}, existing = null) {
+  const fields = {};
+  if (!existing) {
+    if (!ATTRIBUTE_KEY_PATTERN.test(String(body.key || ''))) {
+      throw httpError('key must start with a letter and only contain a-z, 0-9 and "_" (max 40)');
+    }
+    if (!ATTRIBUTE_TYPES.includes(body.type)) throw httpError(`type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+    fields.key = body.key;
+    fields.type = body.type;
+  } else if ((body.key !== undefined && body.key !== existing.key) || (body.type !== undefined && body.type !== existing.type)) {
+    throw httpError('key and type cannot be changed; delete the attribute and define a new one');
+  }
+  if (body.label !== undefined || !existing) {
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    fields.label = label.slice(0, 100) || (existing ? existing.key : fields.key);
+  }
+  const type = existing ? existing.type : fields.type;
+  if (type === 'select' && (body.options !== undefined || !existing)) fields.options = parseOptions(body.options);
+  if (body.visitorWritable !== undefined) {
+    if (typeof body.visitorWritable !== 'boolean') throw httpError('visitorWritable must be true or false');
+    fields.visitorWritable = body.visitorWritable;
+  } else if (!existing) {
+    fields.visitorWritable = false;
+  }
+  return fields;
+}
+
+/**
+ * Convert a raw value to an attribute's type
+ * Strings are accepted for every type, so query-string filters can use the same parsing
+ * @param {object} definition - Attribute definition
+ * @param {*} value - Raw value
+ * @returns {*} - Typed value
+ */
+function coerceAttributeValue(definition, value) {
+  const { key, type } = definition;
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? Number(value) : NaN);
+      if (!Number.isFinite(number)) throw httpError(`${key} must be a number`);
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw httpError(`${key} must be true or false`);
+    case 'date': {
+      const date = typeof value === 'number' || /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+      if (isNaN(date.getTime())) throw httpError(`${key} must be a date`);
+      return date;
+    }
+    case 'select':
+      if (!definition.options.includes(String(value))) throw httpError(`${key} must be one of: ${definition.options.join(', ')}`);
+      return String(value);
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') throw httpError(`${key} must be text`);
+      return String(value).slice(0, MAX_TEXT_VALUE_LENGTH);
+  }
+}
+
+/**
+ * List an owner's attribute definitions
+ * @param {string} ownerId - Owner's unique ID
+ * @returns {Promise<Array>} - Definitions, in creation order
+ */
+async function listAttributeDefinitions(ownerId) {
+  const database = await getDb();
+  const docs = await database.collection('attribute_definitions').find({ ownerId }).sort({ createdAt: 1, _id: 1 }).toArray();
+  return docs.map(toDefinition);
+}
+
+/**
+ * Define a visitor attribute
+ * @param {string} ownerId - Owner's unique ID
+ * @param {object} body - { key, label, type, options, visitorWritable (default false) }
+ * @returns {Promise<object>} - Created definition
+ */
+async function createAttributeDefinition(ownerId, body) {
+  const database = await getDb();
+  const definitions = database.collection('attribute_definitions');
+  const doc = { ...parseDefinitionFields(body), ownerId, createdAt: new Date() };
+  if ((await definitions.countDocuments({ ownerId })) >= MAX_ATTRIBUTES_PER_OWNER) {
+    throw httpError(`An owner can define at most ${MAX_ATTRIBUTES_PER_OWNER} attributes`, 409);
+  }
+  try {
+    const result = await definitions.insertOne(doc);
+    return toDefinition({ ...doc, _id: result.insertedId });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(`Attribute "${doc.key}" already exists`, 409);
+    throw error;
+  }
+}
+
+/**
+ * Update an attribute's label, select options or visitorWritable
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Definition id
+ * @param {object} body - { label, options, visitorWritable }
+ * @returns {Promise<object|null>} - Updated definition or null if not found
+ */
+async function updateAttributeDefinition(ownerId, id, body) {
+  if (!ObjectId.isValid(id)) return null;
+  const database = await getDb();
+  const definitions = database.collection('attribute_definitions');
+  const existing = await definitions.findOne({ _id: new ObjectId(id), ownerId });
+  if (!existing) return null;
+  const fields = parseDefinitionFields(body, existing);
+  const doc = await definitions.findOneAndUpdate({ _id: existing._id }, { $set: fields }, { returnDocument: 'after' });
+  return toDefinition(doc);
+}
+
+/**
+ * Delete an attribute definition and its values on every visitor
+ * @param {string} ownerId - Owner's unique ID
+ * @param {string} id - Definition id
+ * @returns {Promise<object|null>} - Deleted definition or null if not found
+ */
+async function deleteAttributeDefinition(ownerId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  const database = await getDb();
+  const doc = await database.collection('attribute_definitions').findOneAndDelete({ _id: new ObjectId(id), ownerId });
+  if (!doc) return null;
+  const path = `attributes.${doc.key}`;
+  await database.collection('chats').updateMany({ ownerId, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+  return toDefinition(doc);
+}
+
+/**
+ * Set or clear custom attributes of a visitor (null clears a value)
+ * @param {string} ownerId - Owner's unique ID (the visitor must have a chat with them)
+ * @param {string} userId - Visitor's unique ID
+ * @param {object} values - { key: value | null }
+ * @param {object} options - { visitor } true when the visitor sets them (visitorWritable attributes only)
+ * @returns {Promise<object>} - { userId, attributes } with the visitor's attributes after the change
+ */
+async function setVisitorAttributes(ownerId, userId, values, { visitor = false } = {}) {
+  if (!values || typeof values !== 'object' || Array.isArray(values) || !Object.keys(values).length) {
+    throw httpError('attributes must be an object of key: value');
+  }
+  const definitions = new Map((await listAttributeDefinitions(ownerId)).map(def => [def.key, def]));
+  const set = {};
+  const unset = {};
+  for (const [key, value] of Object.entries(values)) {
+    const definition = definitions.get(key);
+    if (!definition) throw httpError(`Unknown attribute "${key}"`);
+    if (visitor && !definition.visitorWritable) throw httpError(`Attribute "${key}" can only be set by the team`, 403);
+    if (value === null || value === '') unset[`attributes.${key}`] = '';
+    else set[`attributes.${key}`] = coerceAttributeValue(definition, value);
+  }
+
+  const database = await getDb();
+  const chats = database.collection('chats');
+  const update = {};
+  if (Object.keys(set).length) update.$set = set;
+  if (Object.keys(unset).length) update.$unset = unset;
+  const result = await chats.updateMany({ userId, ownerId }, update);
+  if (!result.matchedCount) throw httpError('Visitor not found', 404);
+
+  const chat = await chats.findOne({ userId, ownerId }, { sort: { createdAt: -1 }, projection: { attributes: 1 } });
+  return { userId, attributes: (chat && chat.attributes) || {} };
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  listAttributeDefinitions,
+  createAttributeDefinition,
+  updateAttributeDefinition,
+  deleteAttributeDefinition,
+  setVisitorAttributes,
+  coerceAttributeValue,
+};
@@ -4,8 +4,70 @@ const http = require('http');
 const cors = require('cors');
 const { Server } = require('socket.io');
 const { MongoClient } = require('mongodb');
-const jwt = require('jsonwebtoken');
-const { processUserMessage, handleAdminMessage, resetAiForUser, getAiStateInfo } = require('./functions/aiChatHandler');
+const { processUserMessage, handleAdminMessage, resetAiForUser, getAiStateInfo, resumeIdleConversations } = require('./functions/aiChatHandler');
+const {
+  PERSONA_TONES,
+  getAutoResumePolicy,
+  updateAutoResumePolicy,
+  getLlmSettings,
+  updateLlmSettings,
+  getPersona,
+  updatePersona,
+  resetPersona,
+} = require('./functions/aiSettings');
+const { listProviders } = require('./functions/llmProvider');
+const { createPresenceStore, attachSocketAdapter } = require('./functions/presenceStore');
+const {
+  ownerAuthMiddleware,
+  createVisitorAuthMiddleware,
+  createAgentAuthMiddleware,
+  signAgentToken,
+  verifyVisitorToken,
+} = require('./functions/socketAuth');
+const { requireOwnerAuth, requireAccountOwner, requireVisitorAuth, getRequestOwner } = require('./functions/httpAuth');
+const {
+  listAgents,
+  getAgent,
+  createAgent,
+  updateAgent,
+  deactivateAgent,
+  getTeamSettings,
+  updateTeamSettings,
+  getAssignedAgentId,
+  autoAssignConversation,
+  claimConversation,
+  unassignConversation,
+  transferConversation,
+} = require('./functions/agents');
+const { recordEvent, getTimeline } = require('./functions/timeline');
+const {
+  listCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  expandCannedResponse
+} = require('./functions/cannedResponses');
+const { listConversations, getConversationMessages, getVisitorSessions, getVisitorMessages } = require('./functions/conversations');
+const { setConversationStatus, reopenOnVisitorMessage, wakeSnoozedConversations } = require('./functions/conversationStatus');
+const { listTags, createTag, updateTag, deleteTag, updateConversationTags } = require('./functions/tags');
+const {
+  listAttributeDefinitions,
+  createAttributeDefinition,
+  updateAttributeDefinition,
+  deleteAttributeDefinition,
+  setVisitorAttributes
+} = require('./functions/visitorAttributes');
+const { getRecentMessages, ensureConversation } = require('./functions/messageStore');
+const {
+  configureMessageService,
+  createMessageStream,
+  onMessage,
+  sendMessage,
+  markMessagesRead,
+  getMissedMessages,
+  confirmDelivered,
+} = require('./functions/messageService');
+const { createTypingTracker } = require('./functions/typingIndicator');
 
 const app = express();
 app.use(cors());
@@ -34,14 +96,41 @@ if (fs.existsSync(DIST_DIR)) {
 app.get('/', (req, res) => res.json({ ok: true }));
 
 const server = http.createServer(app);
+// HTTP long-polling needs every request of a session to reach the same process. Several
+// processes (pm2 cluster mode, ecosystem.config.js) need sticky sessions in front of them, or
+// SOCKET_WEBSOCKET_ONLY=true once every client connects with transports: ['websocket']
 const io = new Server(server, {
-  cors: { origin: '*' }
+  cors: { origin: '*' },
+  ...(process.env.SOCKET_WEBSOCKET_ONLY === 'true' ? { transports: ['websocket'] } : {})
 });
 
-// Keep a map of userId -> socketId
-const users = new Map();
-// Keep a map of ownerUserId -> socketId
-const owners = new Map();
+// Presence/session store: which visitor and owner sockets are online, plus per-visitor
+// metadata and message buffers. Memory by default; PRESENCE_STORE=mongo shares it between
+// processes (pm2 cluster mode) and attaches the mongo socket.io adapter for cross-process emits
+const presence = createPresenceStore();
+attachSocketAdapter(io, presence).catch((e) => console.error('[presence] adapter init error', e));
+
+// every socket of an owner joins this room so events reach all of their open dashboard sessions
+function ownerRoom(ownerUserId) {
+  return `owner:${ownerUserId}`;
+}
+
+// sockets of one team agent, and of everyone allowed to see all of an owner's conversations
+// (the owner account and agents with the supervisor role)
+function agentRoom(agentId) {
+  return `agent:${agentId}`;
+}
+
+function supervisorsRoom(ownerUserId) {
+  return `supervisors:${ownerUserId}`;
+}
+
+// every socket of a visitor joins this room, whichever process holds it. Only the visitor's own
+// sockets: `message` acks from this room mark messages delivered to the visitor. The team gets
+// its copy of conversation events through teamRoomsFor, so dashboards have nothing to join here
+function visitorRoom(userId) {
+  return `user:${userId}`;
+}
 
 // Mongo
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
@@ -57,17 +146,38 @@ let chatsCollection = null;
   } catch (e) { console.error('Mongo init error', e); }
 })();
 
-// buffer messages per user while connected
-const messagesBuffer = new Map();
-// temporary metadata store for connected users (can be set by owner/admin)
-const metadataBuffer = new Map();
+// how long recipients get to acknowledge a message before it stays undelivered
+const DELIVERY_ACK_TIMEOUT_MS = 10 * 1000;
+// how long a dashboard socket reuses its typing permission check for a conversation
+const TYPING_PERMISSION_TTL_MS = 30 * 1000;
+
+// emit to a room (or list of rooms) and resolve with the number of sockets that acknowledged
+// (sockets that did not answer in time are simply not counted)
+function emitWithAck(room, event, payload) {
+  return new Promise((resolve) => {
+    io.to(room).timeout(DELIVERY_ACK_TIMEOUT_MS).emit(event, payload, (err, responses) => {
+      resolve(Array.isArray(responses) ? responses.length : 0);
+    });
+  });
+}
+
+// rooms of an owner's team that should see events of a conversation: the assigned agent plus
+// supervisors, or the whole team while nobody is assigned
+async function teamRoomsFor(ownerUserId, uid) {
+  if (!uid) return ownerRoom(ownerUserId);
+  const assignedAgentId = await getAssignedAgentId(uid);
+  return assignedAgentId ? [agentRoom(assignedAgentId), supervisorsRoom(ownerUserId)] : ownerRoom(ownerUserId);
+}
 
 // helper to send an event to a specific owner (by ownerUserId) if connected; do NOT broadcast to all owners
-function sendToOwnerOrBroadcast(ownerUserId, event, payload) {
+// conversation events (payload.userId) are routed by assignment; { team: true } reaches every team member
+// with { ack: true } resolves with the number of owner sockets that acknowledged
+async function sendToOwnerOrBroadcast(ownerUserId, event, payload, { ack = false, team = false } = {}) {
   try {
-    if (ownerUserId && owners.has(ownerUserId)) {
-      const ownerSocketId = owners.get(ownerUserId);
-      io.to(ownerSocketId).emit(event, payload);
+    if (ownerUserId && await presence.isOwnerOnline(ownerUserId)) {
+      const rooms = team ? ownerRoom(ownerUserId) : await teamRoomsFor(ownerUserId, payload && payload.userId);
+      if (ack) return await emitWithAck(rooms, event, payload);
+      io.to(rooms).emit(event, payload);
     } else {
       // No specific owner connected - do not broadcast to every owner
       console.log('[io] no owner socket connected for', ownerUserId, '; skipping', event);
@@ -75,191 +185,594 @@ function sendToOwnerOrBroadcast(ownerUserId, event, payload) {
   } catch (e) {
     console.error('sendToOwnerOrBroadcast error', e);
   }
+  return 0;
 }
 
-io.on('connection', async (socket) => {
-  const query = socket.handshake.query || {};
-  const role = query.role || 'user';
-  const userId = query.userId || null;
-  let ownerUserId = query.ownerId || null; // when owners connect, they may provide their user _id
+// tell the whole team who now handles a conversation and record it in the timeline
+function announceAssignment(ownerUserId, uid, agentId, previousAgentId, by) {
+  const change = { agentId: agentId || null, previousAgentId: previousAgentId || null, by };
+  sendToOwnerOrBroadcast(ownerUserId, 'conversation:assigned', Object.assign({ userId: uid }, change), { team: true });
+  recordEvent(uid, 'assigned', change).catch((e) => console.error('[timeline] record assignment error', e));
+}
 
-  // If ownerUserId not provided in query, try to read auth_token cookie and verify JWT
-  if (!ownerUserId && socket.handshake && socket.handshake.headers && socket.handshake.headers.cookie) {
-    try {
-      const cookieHeader = socket.handshake.headers.cookie;
-      const match = cookieHeader.match(/auth_token=([^;]+)/);
-      const token = match ? decodeURIComponent(match[1]) : null;
-      if (token && process.env.JWT_SECRET) {
-        try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          if (decoded && decoded.userId) {
-            ownerUserId = decoded.userId;
-            console.log('[io] owner identified from cookie JWT as', ownerUserId);
-          }
-        } catch(e) {
-          // invalid token; ignore
-        }
+// tell the whole team about a status change and record it in the timeline
+function announceStatus(ownerUserId, change) {
+  sendToOwnerOrBroadcast(ownerUserId, 'conversation:status', change, { team: true });
+  const { status, previousStatus, snoozedUntil, newSession, by } = change;
+  recordEvent(change.userId, 'status', { status, previousStatus, snoozedUntil, newSession, by })
+    .catch((e) => console.error('[timeline] record status error', e));
+}
+
+// Move a conversation through open/pending/snoozed/resolved on behalf of a team member
+// body: { status, snoozedUntil, newSession }
+async function changeConversationStatus(ownerUserId, uid, body, by) {
+  const { status, snoozedUntil, newSession } = body || {};
+  const change = await setConversationStatus(ownerUserId, uid, status, {
+    snoozedUntil,
+    newSession: newSession === true || newSession === 'true',
+    by
+  });
+  announceStatus(ownerUserId, change);
+  return change;
+}
+
+// Add/remove tags on a conversation ({ add, remove }) and tell the team
+async function changeConversationTags(ownerUserId, uid, body, by) {
+  const { add, remove } = body || {};
+  const change = await updateConversationTags(ownerUserId, uid, { add: add || [], remove: remove || [] });
+  if (change.added.length || change.removed.length) {
+    sendToOwnerOrBroadcast(ownerUserId, 'conversation:tags', Object.assign({ by }, change), { team: true });
+    recordEvent(uid, 'tags', { added: change.added, removed: change.removed, by })
+      .catch((e) => console.error('[timeline] record tags error', e));
+  }
+  return change;
+}
+
+// Set or clear a visitor's custom attributes ({ key: value | null }) and tell the team;
+// by 'visitor' may only set attributes defined as visitorWritable
+async function changeVisitorAttributes(ownerUserId, uid, values, by) {
+  const result = await setVisitorAttributes(ownerUserId, uid, values, { visitor: by === 'visitor' });
+  sendToOwnerOrBroadcast(ownerUserId, 'visitor:attributes', Object.assign({ by }, result), { team: true });
+  return result;
+}
+
+// Periodic jobs scan the chats collection, so only one process runs them: pm2 numbers its
+// cluster workers in NODE_APP_INSTANCE (unset when running a single process). Their events
+// still reach sockets on every worker through the socket.io adapter
+const RUNS_SCHEDULED_JOBS = !process.env.NODE_APP_INSTANCE || process.env.NODE_APP_INSTANCE === '0';
+
+function scheduleJob(job, intervalMs) {
+  if (!RUNS_SCHEDULED_JOBS) return;
+  const timer = setInterval(job, intervalMs);
+  if (timer.unref) timer.unref();
+}
+
+// snoozed conversations come back on their own
+const SNOOZE_CHECK_INTERVAL_MS = 60 * 1000;
+scheduleJob(async () => {
+  try {
+    const woken = await wakeSnoozedConversations();
+    woken.forEach(({ ownerId, ...change }) => announceStatus(ownerId, change));
+  } catch (e) {
+    console.error('[status] snooze check error', e);
+  }
+}, SNOOZE_CHECK_INTERVAL_MS);
+
+// longest handover note kept with a transfer
+const MAX_HANDOVER_NOTE_LENGTH = 2000;
+
+// Hand a conversation to another agent: reassign, notify both agents (with the private note),
+// tell the visitor who they are talking to now and record it in the timeline
+// actor: { agentId (null for the owner account), supervisor }
+async function performTransfer(ownerUserId, uid, toAgentId, note, actor) {
+  const handoverNote = typeof note === 'string' && note.trim() ? note.trim().slice(0, MAX_HANDOVER_NOTE_LENGTH) : null;
+  const { agent, previousAgentId } = await transferConversation(ownerUserId, uid, toAgentId, actor);
+  const by = actor.agentId || 'owner';
+
+  const transfer = {
+    userId: uid,
+    fromAgentId: previousAgentId,
+    toAgentId: agent.id,
+    toAgentName: agent.name,
+    note: handoverNote,
+    by
+  };
+  // the note stays within the team: both agents plus supervisors
+  const rooms = [agentRoom(agent.id), supervisorsRoom(ownerUserId)];
+  if (previousAgentId) rooms.push(agentRoom(previousAgentId));
+  io.to(rooms).emit('conversation:transferred', transfer);
+
+  sendToOwnerOrBroadcast(ownerUserId, 'conversation:assigned', { userId: uid, agentId: agent.id, previousAgentId, by }, { team: true });
+  await recordEvent(uid, 'transfer', { fromAgentId: previousAgentId, toAgentId: agent.id, note: handoverNote, by });
+  await sendMessage({
+    userId: uid,
+    ownerId: ownerUserId,
+    from: 'system',
+    text: `You're now chatting with ${agent.name}`,
+    extra: { event: 'transfer', agentId: agent.id }
+  });
+  return transfer;
+}
+
+// page the visitor is on, as reported by the widget (handshake auth or visitor:page)
+function pageInfo(data) {
+  const info = {};
+  if (data && typeof data.page === 'string') info.page = data.page.slice(0, 2048);
+  if (data && typeof data.title === 'string') info.title = data.title.slice(0, 300);
+  return info;
+}
+
+// update an online visitor's presence entry and push the change to their owner
+async function updateVisitorPresence(uid, info) {
+  const visitor = await presence.updateVisitorPresence(uid, info);
+  if (visitor && visitor.ownerId) sendToOwnerOrBroadcast(visitor.ownerId, 'visitor:updated', { visitor }, { team: true });
+  return visitor;
+}
+
+// Every message (user, owner, AI, system) goes through messageService: persisted once,
+// then fanned out to the visitor's and owner's rooms. `message` events are emitted with an
+// ack so the service can mark them delivered
+configureMessageService({
+  emitToVisitor: (uid, event, payload) => {
+    if (event === 'message') return emitWithAck(visitorRoom(uid), event, payload);
+    io.to(visitorRoom(uid)).emit(event, payload);
+  },
+  emitToOwner: (ownerId, event, payload) =>
+    sendToOwnerOrBroadcast(ownerId, event, payload, { ack: event === 'message' }),
+});
+
+// Typing indicators: throttled and auto-expiring; target is { userId, ownerId } (either may be null)
+const typing = createTypingTracker({
+  emit: ({ userId: uid, ownerId }, event, payload) => {
+    if (uid) io.to(visitorRoom(uid)).emit(event, payload);
+    if (ownerId) sendToOwnerOrBroadcast(ownerId, event, payload);
+  }
+});
+// the AI can take a while; keep its "thinking" state alive longer than a human typist's
+const AI_THINKING_EXPIRE_MS = 60 * 1000;
+
+// a sent message ends its author's typing state
+onMessage((message) => typing.stop({ userId: message.userId, from: message.from }));
+
+// keep the per-visitor session buffer (used to find the last replying owner on disconnect)
+onMessage((message) => presence.appendMessage(message.userId, message));
+
+// a visitor writing again reopens a pending, snoozed or resolved conversation
+onMessage(async (message) => {
+  if (message.from !== 'user' || !message.ownerId) return;
+  const change = await reopenOnVisitorMessage(message.conversationId, message.userId);
+  if (change) announceStatus(message.ownerId, change);
+});
+
+// a visitor writing into an unassigned conversation gets an online agent (round robin / least busy)
+onMessage(async (message) => {
+  if (message.from !== 'user' || !message.ownerId) return;
+  const onlineAgents = await presence.listOnlineAgents(message.ownerId);
+  const assignedAgentId = await autoAssignConversation(message.ownerId, message.userId, onlineAgents);
+  if (assignedAgentId) announceAssignment(message.ownerId, message.userId, assignedAgentId, null, 'auto');
+});
+
+// ============ DEACTIVATE AI WHEN ADMIN RESPONDS ============
+// When admin sends a message, AI stops responding
+onMessage(async (message) => {
+  if (message.from !== 'owner') return;
+  await handleAdminMessage(message.userId, {
+    conversationId: message.conversationId,
+    ownerId: message.ownerId,
+    by: message.agentId || 'owner'
+  });
+});
+
+// The AI handed the visitor to a human (it is paused already): tell the visitor, alert the
+// whole team with a high-priority conversation:escalated and record it in the timeline
+async function escalateConversation(message, handoff) {
+  const { userId: uid, ownerId: targetOwnerId } = message;
+  const { reason, detail } = handoff.escalation;
+  await sendMessage({
+    userId: uid,
+    ownerId: targetOwnerId,
+    from: 'system',
+    text: handoff.text,
+    extra: { event: 'escalation', reason }
+  });
+  sendToOwnerOrBroadcast(targetOwnerId, 'conversation:escalated', {
+    userId: uid,
+    conversationId: message.conversationId,
+    priority: 'high',
+    reason,
+    detail,
+    messageId: message.id,
+    text: message.text
+  }, { team: true });
+  await recordEvent(uid, 'escalated', { reason, detail, messageId: message.id, by: 'ai' });
+  console.log(`[AI] Escalated conversation of user ${uid} (${reason})`);
+}
+
+// ============ AI RESPONSE INTEGRATION ============
+// Answer a visitor message with the AI if admin hasn't taken over. The answer is streamed
+// (message:delta to the visitor and the team) and then sent as one stored message with the same streamId
+// options: { escalate (false skips the handoff checks) }
+async function answerWithAi(message, options = {}) {
+  const { userId: uid, ownerId: targetOwnerId, text } = message;
+  console.log(`[AI] Processing message for user ${uid}, ownerId: ${targetOwnerId || 'none'}`);
+  const thinking = { userId: uid, from: 'ai', state: 'thinking' };
+  const stream = createMessageStream({ userId: uid, ownerId: targetOwnerId, from: 'ai' });
+  let aiResponse;
+  try {
+    aiResponse = await processUserMessage(uid, text, targetOwnerId, {
+      conversationId: message.conversationId,
+      escalate: options.escalate,
+      onThinking: () => typing.start({ userId: uid, ownerId: targetOwnerId }, thinking, { expireMs: AI_THINKING_EXPIRE_MS }),
+      // the first words replace the "thinking" indicator
+      onDelta: (delta) => {
+        typing.stop(thinking);
+        stream.push(delta);
       }
-    } catch(e) { console.error('cookie parse error', e); }
+    });
+  } finally {
+    if (!aiResponse) typing.stop(thinking);
+  }
+  if (!aiResponse) {
+    console.log(`[AI] No response generated for user ${uid} (AI might be inactive)`);
+    return;
+  }
+  if (aiResponse.escalation) {
+    typing.stop(thinking);
+    await escalateConversation(message, aiResponse);
+    return;
+  }
+  const { contextUsed, sources, error } = aiResponse;
+  await stream.finish({
+    text: aiResponse.text,
+    extra: error ? { error: true } : { contextUsed, sources },
+  });
+  console.log(`[AI] Sent response to user ${uid}`);
+}
+
+onMessage(async (message) => {
+  if (message.from !== 'user') return;
+  await answerWithAi(message);
+});
+
+// The team left a visitor waiting past the owner's idle time: the AI is active again.
+// Tell the visitor (policy notice) and the team, record it, then answer what is still open.
+// The pending message skips the handoff checks, otherwise it would simply escalate again.
+async function announceAutoResume({ ownerId: targetOwnerId, userId: uid, conversationId, idleMinutes, notice, pendingMessage }) {
+  await sendMessage({
+    userId: uid,
+    ownerId: targetOwnerId,
+    from: 'system',
+    text: notice,
+    extra: { event: 'ai_resumed', reason: 'auto_resume' }
+  });
+  sendToOwnerOrBroadcast(targetOwnerId, 'conversation:ai_resumed', {
+    userId: uid,
+    conversationId,
+    reason: 'auto_resume',
+    idleMinutes
+  }, { team: true });
+  await recordEvent(uid, 'ai_resumed', { reason: 'auto_resume', idleMinutes, by: 'ai' });
+  if (pendingMessage) await answerWithAi(pendingMessage, { escalate: false });
+}
+
+const AUTO_RESUME_CHECK_INTERVAL_MS = 30 * 1000;
+scheduleJob(async () => {
+  try {
+    const resumed = await resumeIdleConversations();
+    for (const conversation of resumed) {
+      await announceAutoResume(conversation).catch((e) => console.error('[AI] auto-resume announce error', e));
+    }
+  } catch (e) {
+    console.error('[AI] auto-resume check error', e);
+  }
+}, AUTO_RESUME_CHECK_INTERVAL_MS);
+
+// Owners must authenticate with a JWT (auth payload or auth_token cookie); rejected
+// handshakes surface as connect_error on the client with err.data.code
+io.use(ownerAuthMiddleware);
+// Agent tokens (agentId claim) must name an active agent of the owner
+io.use(createAgentAuthMiddleware({ getAgent }));
+// Visitors must send back the token the server signed for their userId and owner; unsigned
+// ids that already have a chat are replaced by a fresh id so they cannot be taken over
+io.use(createVisitorAuthMiddleware({
+  isKnownVisitor: async (uid) => {
+    if (!chatsCollection) return false;
+    return !!(await chatsCollection.findOne({ userId: uid }, { projection: { _id: 1 } }));
+  },
+  getVisitorOwner: async (uid) => {
+    if (!chatsCollection) return null;
+    const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { ownerId: 1 } });
+    return (doc && doc.ownerId) || null;
   }
+}));
+
+io.on('connection', async (socket) => {
+  const query = socket.handshake.query || {};
+  const role = query.role || 'user';
+  // visitors: the id verified (or issued) by the visitor auth middleware
+  const userId = role === 'owner' ? null : socket.data.visitorId;
+  // owners: id comes from the verified token claims; users: the owner their visitor token is bound to
+  const ownerUserId = role === 'owner' ? socket.data.ownerUserId : (socket.data.visitorOwnerId || null);
 
   console.log('[io] connect', socket.id, { role, userId, ownerUserId });
 
   if (role === 'owner') {
+    // team agents connect like owners but with an agentId; the owner account itself is a supervisor
+    const agentId = socket.data.agentId || null;
+    const isSupervisor = !agentId || socket.data.agentRole === 'supervisor';
+
     socket.join('owners');
     if (ownerUserId) {
-      owners.set(ownerUserId, socket.id);
-      console.log('[io] registered owner socket', ownerUserId, socket.id);
+      socket.join(ownerRoom(ownerUserId));
+      if (isSupervisor) socket.join(supervisorsRoom(ownerUserId));
+      if (agentId) socket.join(agentRoom(agentId));
+      try {
+        const openSessions = await presence.addOwnerSocket(ownerUserId, socket.id);
+        if (agentId) await presence.addAgentSocket(ownerUserId, agentId, socket.id);
+        console.log('[io] registered owner socket', ownerUserId, agentId ? 'agent ' + agentId : '', socket.id, '(open sessions:', openSessions + ')');
+      } catch(e) { console.error('[presence] register owner socket error', e); }
     }
 
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log('[io] owner disconnect', socket.id);
-      if (ownerUserId && owners.get(ownerUserId) === socket.id) owners.delete(ownerUserId);
+      if (!ownerUserId) return;
+      try {
+        if (agentId) await presence.removeAgentSocket(ownerUserId, agentId, socket.id);
+        const remaining = await presence.removeOwnerSocket(ownerUserId, socket.id);
+        // only mark the owner offline once their last dashboard session is gone
+        if (remaining === 0) console.log('[io] owner offline', ownerUserId);
+      } catch(e) { console.error('[presence] remove owner socket error', e); }
+    });
+
+    // Active visitors come from the per-owner presence index (no scan over every connected visitor)
+    // users: ids only (older dashboards); visitors: { userId, username, useremail, page, title, connectedSince }
+    const sendActiveVisitors = async () => {
+      const visitors = await presence.listOwnerVisitors(ownerUserId);
+      socket.emit('active-users', { users: visitors.map(v => v.userId), visitors });
+      console.log('[io] sent', visitors.length, 'active visitors to owner', ownerUserId);
+    };
+
+    // always the authenticated owner; a payload ownerId must not expose other tenants
+    socket.on('owner:ready', () => {
+      sendActiveVisitors().catch((e) => console.error('[io] owner:ready error', e));
+    });
+    socket.on('get:active-users', () => {
+      sendActiveVisitors().catch((e) => console.error('[io] get:active-users error', e));
     });
 
-    // Handler for owner:ready - when owner connects/requests active users
-    socket.on('owner:ready', async (payload) => {
+    // Owner can send messages to a specific user; the optional ack gets { ok, message }
+    // (message carries the server-assigned id used by delivery/read receipts). Resending
+    // with the same clientMessageId is safe: the ack returns the message stored the first time
+    // { type: 'note' } stores an internal note instead: only the owner's team ever receives it
+    // { cannedId } sends a canned response, its template variables filled in for this visitor
+    socket.on('message', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const reqOwnerId = payload?.ownerId || ownerUserId;
-        console.log('[io] owner:ready for', reqOwnerId);
-        
-        // Send list of active users for this owner
-        if (reqOwnerId) {
-          const activeUsers = [];
-          
-          // Get all connected users
-          for (const [userId, socketId] of users.entries()) {
-            // Check if this user belongs to this owner
-            try {
-              if (chatsCollection) {
-                const doc = await chatsCollection.findOne({ userId });
-                if (doc && doc.ownerId === reqOwnerId) {
-                  activeUsers.push(userId);
-                }
-              }
-            } catch(e) { /* ignore */ }
+        const { userId: uid, clientMessageId, cannedId } = payload || {};
+        let text = payload && payload.text;
+        const from = payload && payload.type === 'note' ? 'note' : 'owner';
+        if (!uid) return reply({ ok: false, error: 'userId is required' });
+
+        // refuse to write into a chat that belongs to another owner (or another agent)
+        if (chatsCollection) {
+          const existing = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { ownerId: 1, assignedAgentId: 1 } });
+          if (existing && existing.ownerId && existing.ownerId !== ownerUserId) {
+            console.log('[io] owner', ownerUserId, 'tried to message user', uid, 'of owner', existing.ownerId);
+            return reply({ ok: false, error: 'Forbidden' });
+          }
+          if (existing && !canHandleAssignment(existing)) {
+            return reply({ ok: false, error: 'Conversation is assigned to another agent' });
           }
-          
-          socket.emit('active-users', { users: activeUsers });
-          console.log('[io] sent active-users to owner', reqOwnerId, ':', activeUsers);
         }
-      } catch(e) {
-        console.error('[io] owner:ready error', e);
+
+        const extra = agentId ? { agentId } : {};
+        if (cannedId) {
+          text = await expandCannedResponse(ownerUserId, String(cannedId), uid);
+          extra.cannedId = String(cannedId);
+        }
+
+        // persisted once, delivered to the user and echoed to the owner's dashboard sessions;
+        // the AI is deactivated by the owner-message hook
+        const message = await sendMessage({
+          userId: uid,
+          ownerId: ownerUserId,
+          from,
+          text,
+          clientMessageId,
+          extra
+        });
+        reply({ ok: true, message });
+      } catch (e) {
+        if (!e.statusCode) console.error(e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to send message' });
       }
     });
 
-    // Handler for get:active-users - same as owner:ready
-    socket.on('get:active-users', async () => {
+    // agents only act on their own or unassigned conversations; supervisors on all of them
+    const canHandleAssignment = (chat) => isSupervisor || !chat.assignedAgentId || chat.assignedAgentId === agentId;
+    const canHandle = async (uid) => {
+      if (!uid || !chatsCollection) return false;
+      const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { ownerId: 1, assignedAgentId: 1 } });
+      return !!doc && doc.ownerId === ownerUserId && canHandleAssignment(doc);
+    };
+    // Owner typing indicator -> visitor (typing:start/typing:stop with { userId })
+    // typing events come with every keystroke: the permission check is reused for a while
+    // (userId -> { allowed, checkedAt }), so a reassignment applies within TYPING_PERMISSION_TTL_MS
+    const typingPermissions = new Map();
+    const canType = async (uid) => {
+      if (!uid) return false;
+      const cached = typingPermissions.get(uid);
+      if (cached && Date.now() - cached.checkedAt < TYPING_PERMISSION_TTL_MS) return cached.allowed;
+      const allowed = await canHandle(uid);
+      if (typingPermissions.size >= 500) typingPermissions.clear();
+      typingPermissions.set(uid, { allowed, checkedAt: Date.now() });
+      return allowed;
+    };
+    socket.on('typing:start', async (payload) => {
       try {
-        console.log('[io] get:active-users for owner', ownerUserId);
-        
-        if (ownerUserId) {
-          const activeUsers = [];
-          
-          for (const [userId, socketId] of users.entries()) {
-            try {
-              if (chatsCollection) {
-                const doc = await chatsCollection.findOne({ userId });
-                if (doc && doc.ownerId === ownerUserId) {
-                  activeUsers.push(userId);
-                }
-              }
-            } catch(e) { /* ignore */ }
-          }
-          
-          socket.emit('active-users', { users: activeUsers });
-          console.log('[io] sent active-users:', activeUsers);
+        const uid = payload && payload.userId;
+        if (!(await canType(uid))) return;
+        typing.start({ userId: uid }, { userId: uid, from: 'owner' });
+      } catch(e) { console.error('[io] owner typing error', e); }
+    });
+    socket.on('typing:stop', async (payload) => {
+      try {
+        const uid = payload && payload.userId;
+        if (!(await canType(uid))) return;
+        typing.stop({ userId: uid, from: 'owner' });
+      } catch(e) { console.error('[io] owner typing error', e); }
+    });
+
+    // Owner read the visitor's messages: { userId, upTo } or { userId, messageIds }
+    socket.on('message:read', async (payload) => {
+      try {
+        const { userId: uid, upTo, messageIds } = payload || {};
+        if (!(await canHandle(uid))) return;
+        await markMessagesRead({ userId: uid, reader: 'owner', upTo, messageIds });
+      } catch(e) { console.error('[io] owner message:read error', e); }
+    });
+
+    // Manual assignment: { userId } claims the conversation for this agent; supervisors may
+    // pass { userId, agentId } to assign it to someone else. The ack gets { ok, agentId }
+    socket.on('conversation:claim', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const uid = payload && payload.userId;
+        let target = agentId;
+        if (isSupervisor && payload && payload.agentId) {
+          const agent = await getAgent(ownerUserId, String(payload.agentId));
+          if (!agent || !agent.active) return reply({ ok: false, error: 'Agent not found' });
+          target = agent.id;
         }
+        if (!uid || !target) return reply({ ok: false, error: 'userId and agentId are required' });
+
+        const { previousAgentId } = await claimConversation(ownerUserId, uid, { agentId: target, supervisor: isSupervisor });
+        if (previousAgentId !== target) announceAssignment(ownerUserId, uid, target, previousAgentId, agentId || 'owner');
+        reply({ ok: true, agentId: target });
       } catch(e) {
-        console.error('[io] get:active-users error', e);
+        if (!e.statusCode) console.error('[io] conversation:claim error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to claim conversation' });
       }
     });
 
-    // Owner can send messages to a specific user
-    socket.on('message', async (payload) => {
+    // Hand the conversation to a colleague: { userId, agentId, note } (note is only shown to the team)
+    socket.on('conversation:transfer', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const { userId: uid, text } = payload || {};
-        if (!uid) return;
-
-        // ============ DEACTIVATE AI WHEN ADMIN RESPONDS ============
-        // When admin sends a message, AI stops responding
-        try {
-          await handleAdminMessage(uid);
-        } catch (aiError) {
-          console.error('[AI] Error deactivating AI:', aiError);
-        }
-        // ============ END AI DEACTIVATION ============
+        const { userId: uid, agentId: toAgentId, note } = payload || {};
+        if (!uid || !toAgentId) return reply({ ok: false, error: 'userId and agentId are required' });
+        const transfer = await performTransfer(ownerUserId, uid, String(toAgentId), note, { agentId, supervisor: isSupervisor });
+        reply({ ok: true, transfer });
+      } catch(e) {
+        if (!e.statusCode) console.error('[io] conversation:transfer error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to transfer conversation' });
+      }
+    });
 
-        // forward to user socket if connected
-        const sid = users.get(uid);
-        if (sid) {
-          io.to(sid).emit('message', { from: 'owner', text, userId: uid, ts: Date.now(), ownerId: ownerUserId || socket.id });
-        }
+    // Release a conversation back to the team ({ userId }); assigned agent or supervisors only
+    socket.on('conversation:unassign', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const uid = payload && payload.userId;
+        if (!uid) return reply({ ok: false, error: 'userId is required' });
+        const { previousAgentId } = await unassignConversation(ownerUserId, uid, { agentId, supervisor: isSupervisor });
+        if (previousAgentId) announceAssignment(ownerUserId, uid, null, previousAgentId, agentId || 'owner');
+        reply({ ok: true });
+      } catch(e) {
+        if (!e.statusCode) console.error('[io] conversation:unassign error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to unassign conversation' });
+      }
+    });
 
-        // persist in buffer, include ownerUserId when provided
-        if (uid) {
-          const arr = messagesBuffer.get(uid) || [];
-          const msgObj = { from: 'owner', text, ts: Date.now(), ownerId: ownerUserId || socket.id };
-          arr.push(msgObj);
-          messagesBuffer.set(uid, arr);
-
-          // also persist incrementally to MongoDB
-          try{
-            if (chatsCollection) {
-              await chatsCollection.updateOne(
-                { userId: uid },
-                {
-                  $setOnInsert: { userId: uid, createdAt: new Date() },
-                  $set: { ownerId: ownerUserId || socket.id },
-                  $push: { conversation: msgObj }
-                },
-                { upsert: true }
-              );
-            }
-          } catch(e){ console.error('mongo append owner message error', e); }
+    // Change the conversation status: { userId, status, snoozedUntil, newSession }
+    // (newSession with 'resolved': the visitor's next message starts a new conversation)
+    socket.on('conversation:status', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const uid = payload && payload.userId;
+        if (!uid) return reply({ ok: false, error: 'userId is required' });
+        if (!(await canHandle(uid))) return reply({ ok: false, error: 'Forbidden' });
+        const change = await changeConversationStatus(ownerUserId, uid, payload, agentId || 'owner');
+        reply({ ok: true, change });
+      } catch(e) {
+        if (!e.statusCode) console.error('[io] conversation:status error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to change conversation status' });
+      }
+    });
 
-          // notify the correct owner only (if ownerUserId exists on the chat)
-          try {
-            // send the message event back to the owner who owns this chat (if known)
-            const targetOwnerId = ownerUserId || (await (async () => {
-              // try to lookup owner from DB metadata if available
-              if (!chatsCollection) return null;
-              const doc = await chatsCollection.findOne({ userId: uid });
-              return doc?.ownerId || null;
-            })());
-
-            sendToOwnerOrBroadcast(targetOwnerId, 'message', { from: 'owner', text, userId: uid, ts: Date.now(), ownerId: targetOwnerId });
-          } catch(e){ console.error('notify owner error', e); }
-        }
-      } catch (e) { console.error(e); }
+    // Tag a conversation: { userId, add: [names], remove: [names] } (only defined tags)
+    socket.on('conversation:tags', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const uid = payload && payload.userId;
+        if (!uid) return reply({ ok: false, error: 'userId is required' });
+        if (!(await canHandle(uid))) return reply({ ok: false, error: 'Forbidden' });
+        const change = await changeConversationTags(ownerUserId, uid, payload, agentId || 'owner');
+        reply({ ok: true, tags: change.tags });
+      } catch(e) {
+        if (!e.statusCode) console.error('[io] conversation:tags error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to update tags' });
+      }
     });
 
-    // Owner may request to join a user's room (optional)
-    socket.on('joinUser', (uid) => {
-      const sid = users.get(uid);
-      if (sid) socket.join(sid);
+    // Set a visitor's custom attributes: { userId, attributes: { key: value | null } }
+    socket.on('visitor:attributes', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const uid = payload && payload.userId;
+        if (!uid) return reply({ ok: false, error: 'userId is required' });
+        if (!(await canHandle(uid))) return reply({ ok: false, error: 'Forbidden' });
+        const result = await changeVisitorAttributes(ownerUserId, uid, payload.attributes, agentId || 'owner');
+        reply({ ok: true, attributes: result.attributes });
+      } catch(e) {
+        if (!e.statusCode) console.error('[io] visitor:attributes error', e);
+        reply({ ok: false, error: e.statusCode ? e.message : 'Failed to update attributes' });
+      }
     });
 
   } else {
     // treat as user
-    const uid = userId || socket.id;
-    users.set(uid, socket.id);
-    socket.join(socket.id);
+    const uid = userId;
+    socket.join(visitorRoom(uid));
+
+    // hand the widget its signed identity (new, or renewed) to send back on every reconnect
+    if (socket.data.issuedVisitorToken) {
+      socket.emit('visitor:token', { userId: uid, token: socket.data.issuedVisitorToken });
+      console.log('[io] issued visitor token for', uid);
+    }
 
-    // initialize buffer for user
-    if (!messagesBuffer.has(uid)) messagesBuffer.set(uid, []);
+    // replay owner/AI/system messages sent while this visitor had no live socket; the widget
+    // reports the last message it has (handshake auth lastSeenId/lastSeenTs) and acks the batch.
+    // With hasMore it asks for the next batch through messages:sync
+    const replayMissed = async (since) => {
+      if (!since || (!since.lastSeenId && !since.lastSeenTs)) return;
+      const { messages, hasMore } = await getMissedMessages(uid, since);
+      if (!messages.length) return;
+      socket.timeout(DELIVERY_ACK_TIMEOUT_MS).emit('messages:replay', { messages, hasMore }, (err) => {
+        if (!err) confirmDelivered(messages);
+      });
+      console.log('[io] replayed', messages.length, 'missed messages to', uid);
+    };
+    replayMissed(socket.handshake.auth).catch((e) => console.error('[io] replay error', e));
+    socket.on('messages:sync', (payload) => {
+      replayMissed(payload).catch((e) => console.error('[io] replay error', e));
+    });
+    let socketCount = 0;
+    try {
+      socketCount = await presence.addUserSocket(uid, socket.id);
+    } catch(e) { console.error('[presence] register user socket error', e); }
 
     // determine owner for this user (from query, metadata buffer, or DB)
     let targetOwner = ownerUserId || null; // Use ownerId from connection query if provided
     
     if (!targetOwner) {
-      const meta = metadataBuffer.get(uid) || {};
+      const meta = (await presence.getMetadata(uid)) || {};
       if (meta && meta.ownerId) targetOwner = meta.ownerId;
     }
     
     if (!targetOwner && chatsCollection) {
       try {
-        const doc = await chatsCollection.findOne({ userId: uid });
+        const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 } });
         if (doc && doc.ownerId) targetOwner = doc.ownerId;
       } catch(e){ /* ignore */ }
     }
@@ -267,18 +780,33 @@ io.on('connection', async (socket) => {
     // If we have an ownerId, save it to the chat document
     if (targetOwner && chatsCollection) {
       try {
-        await chatsCollection.updateOne(
-          { userId: uid },
-          {
-            $setOnInsert: { userId: uid, createdAt: new Date(), conversation: [] },
-            $set: { ownerId: targetOwner }
-          },
-          { upsert: true }
-        );
+        await ensureConversation(uid, { ownerId: targetOwner });
         console.log('[io] assigned user', uid, 'to owner', targetOwner);
       } catch(e) { console.error('save ownerId error', e); }
     }
 
+    // index the visitor under their owner; the owner gets visitor:joined for the first tab only
+    if (targetOwner) {
+      try {
+        let meta = (await presence.getMetadata(uid)) || {};
+        if (!meta.username && !meta.useremail && chatsCollection) {
+          meta = (await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { username: 1, useremail: 1 } })) || {};
+        }
+        const visitor = await presence.setVisitorPresence(targetOwner, uid, Object.assign({
+          username: meta.username || null,
+          useremail: meta.useremail || null
+        }, pageInfo(socket.handshake.auth)));
+        if (socketCount <= 1) sendToOwnerOrBroadcast(targetOwner, 'visitor:joined', { visitor }, { team: true });
+      } catch(e) { console.error('[presence] index visitor error', e); }
+    }
+
+    // the widget reports in-page navigation (single-page sites)
+    socket.on('visitor:page', (payload) => {
+      const info = pageInfo(payload);
+      if (!info.page) return;
+      updateVisitorPresence(uid, info).catch((e) => console.error('[presence] visitor:page error', e));
+    });
+
     // notify owners (prefer targetOwner)
     try {
       if (targetOwner) {
@@ -290,21 +818,31 @@ io.on('connection', async (socket) => {
     } catch(e){ console.error('notify owners connect error', e); }
 
     socket.on('disconnect', async () => {
-      users.delete(uid);
+      try {
+        // the user may still have other tabs open; only treat the last socket as a disconnect
+        const remaining = await presence.removeUserSocket(uid, socket.id);
+        if (remaining > 0) {
+          console.log('[io] user socket closed but still connected elsewhere', uid, socket.id);
+          return;
+        }
+      } catch(e) { console.error('[presence] remove user socket error', e); }
+      typing.stop({ userId: uid, from: 'user' });
       // inform assigned owner only (if any)
       try {
-        // try to determine owner from metadata buffer or DB
-        let notifyOwner = null;
-        const metaTmp = metadataBuffer.get(uid) || {};
-        if (metaTmp && metaTmp.ownerId) notifyOwner = metaTmp.ownerId;
+        // the presence index knows the owner; fall back to metadata buffer or DB
+        const left = await presence.removeVisitorPresence(uid);
+        let notifyOwner = left ? left.ownerId : null;
+        const metaTmp = (await presence.getMetadata(uid)) || {};
+        if (!notifyOwner && metaTmp && metaTmp.ownerId) notifyOwner = metaTmp.ownerId;
         if (!notifyOwner && chatsCollection) {
           try {
-            const doc = await chatsCollection.findOne({ userId: uid });
+            const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 } });
             if (doc && doc.ownerId) notifyOwner = doc.ownerId;
           } catch (e) { /* ignore */ }
         }
         if (notifyOwner) {
           sendToOwnerOrBroadcast(notifyOwner, 'user:disconnected', { userId: uid });
+          sendToOwnerOrBroadcast(notifyOwner, 'visitor:left', { userId: uid }, { team: true });
         } else {
           console.log('[io] user disconnected but no owner assigned for', uid);
         }
@@ -313,8 +851,8 @@ io.on('connection', async (socket) => {
 
       // on disconnect update metadata (do not push buffered messages again — those are persisted per-message)
       try {
-        const conv = messagesBuffer.get(uid) || [];
-        const meta = metadataBuffer.get(uid) || {};
+        const conv = await presence.getMessages(uid);
+        const meta = (await presence.getMetadata(uid)) || {};
         let ownerId = meta.ownerId || null;
         if (!ownerId) {
           for (let i = (conv.length - 1); i >= 0; i--) {
@@ -323,188 +861,145 @@ io.on('connection', async (socket) => {
         }
 
         if (chatsCollection) {
-          await chatsCollection.updateOne(
-            { userId: uid },
-            {
-              $setOnInsert: { userId: uid, createdAt: new Date() },
-              $set: {
-                ownerId: ownerId || null,
-                username: meta.username || null,
-                useremail: meta.useremail || null,
-                userphone: meta.userphone || null,
-                lastSeen: new Date()
-              }
-            },
-            { upsert: true }
-          );
+          await ensureConversation(uid, {
+            set: {
+              ownerId: ownerId || null,
+              username: meta.username || null,
+              useremail: meta.useremail || null,
+              userphone: meta.userphone || null,
+              lastSeen: new Date()
+            }
+          });
           console.log('[mongo] updated metadata/lastSeen for', uid);
         }
       } catch (e) { console.error('save conv error', e); }
 
-      messagesBuffer.delete(uid);
-      metadataBuffer.delete(uid);
+      try {
+        await presence.clearMessages(uid);
+        await presence.deleteMetadata(uid);
+      } catch(e) { console.error('[presence] clear session error', e); }
+    });
+
+    // Visitor typing indicator -> owner
+    socket.on('typing:start', () => {
+      typing.start({ ownerId: targetOwner }, { userId: uid, from: 'user' });
+    });
+    socket.on('typing:stop', () => {
+      typing.stop({ userId: uid, from: 'user' });
+    });
+
+    // Visitor read owner/AI messages (sent by the widget while its panel is open)
+    socket.on('message:read', async (payload) => {
+      try {
+        const { upTo, messageIds } = payload || {};
+        await markMessagesRead({ userId: uid, reader: 'user', upTo, messageIds });
+      } catch(e) { console.error('[io] visitor message:read error', e); }
     });
 
     // user sends message -> forward to owners (prefer the assigned owner)
-    socket.on('message', async (payload) => {
+    // the optional ack gets { ok, message } with the server-assigned message id;
+    // a resend with the same clientMessageId is acked with the original message
+    socket.on('message', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
         const text = (payload && payload.text) || '';
+        const clientMessageId = payload && payload.clientMessageId;
 
         // figure out owner - check connection query first
         let targetOwnerId = ownerUserId || null;
         
         if (!targetOwnerId) {
-          const meta = metadataBuffer.get(uid) || {};
+          const meta = (await presence.getMetadata(uid)) || {};
           targetOwnerId = meta.ownerId || null;
         }
         
         if (!targetOwnerId && chatsCollection) {
           try {
-            const doc = await chatsCollection.findOne({ userId: uid });
+            const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 } });
             if (doc && doc.ownerId) targetOwnerId = doc.ownerId;
           } catch(e) { /* ignore */ }
         }
 
-        // send message to the owner (or broadcast if unknown)
-        try { 
-          if (targetOwnerId) {
-            // Get metadata from buffer or database
-            let meta = metadataBuffer.get(uid) || {};
-            
-            // If metadata not in buffer, try to load from database
-            if ((!meta.username && !meta.useremail && !meta.userphone) && chatsCollection) {
-              try {
-                const doc = await chatsCollection.findOne({ userId: uid });
-                if (doc) {
-                  meta = {
-                    username: doc.username || null,
-                    useremail: doc.useremail || null,
-                    userphone: doc.userphone || null,
-                    ownerId: doc.ownerId || null
-                  };
-                  // Update buffer for future messages
-                  metadataBuffer.set(uid, meta);
-                  console.log('[io] loaded metadata from DB for', uid);
-                }
-              } catch (dbError) {
-                console.error('[io] error loading metadata from DB:', dbError);
-              }
-            }
-            
-            const messagePayload = { 
-              from: 'user', 
-              text, 
-              userId: uid, 
-              ts: Date.now(),
-              username: meta.username || null,
-              useremail: meta.useremail || null,
-              userphone: meta.userphone || null
-            };
-            sendToOwnerOrBroadcast(targetOwnerId, 'message', messagePayload);
-            console.log('[io] forwarded user message to owner', targetOwnerId, 'with metadata:', { username: meta.username, useremail: meta.useremail, userphone: meta.userphone });
-          } else {
-            console.log('[io] incoming message but no owner assigned for', uid);
-          }
-        } catch(e){ console.error('emit message to owner error', e); }
-
-        // push to buffer
-        const arr = messagesBuffer.get(uid) || [];
-        const msgObj = { from: 'user', text, ts: Date.now() };
-        arr.push(msgObj);
-        messagesBuffer.set(uid, arr);
-
-        // also persist incrementally to MongoDB
-        try{
-          if (chatsCollection) {
-            await chatsCollection.updateOne(
-              { userId: uid },
-              { 
-                $setOnInsert: { userId: uid, createdAt: new Date() },
-                $set: { ownerId: targetOwnerId || null },
-                $push: { conversation: msgObj }
-              },
-              { upsert: true }
-            );
-          }
-        } catch(e){ console.error('mongo append user message error', e); }
-
-        // ============ AI RESPONSE INTEGRATION ============
-        // Process message with AI if admin hasn't taken over
-        try {
-          console.log(`[AI] Processing message for user ${uid}, ownerId: ${targetOwnerId || 'none'}`);
-          const aiResponse = await processUserMessage(uid, text, targetOwnerId);
-          
-          if (aiResponse) {
-            console.log(`[AI] Generated response for user ${uid}`);
-            // Send AI response to user
-            const sid = users.get(uid);
-            if (sid) {
-              io.to(sid).emit('message', aiResponse);
-              console.log(`[AI] Sent response to user ${uid} via socket ${sid}`);
-            }
-            
-            // Notify owner about AI response
-            if (targetOwnerId) {
-              sendToOwnerOrBroadcast(targetOwnerId, 'message', aiResponse);
-              console.log(`[AI] Notified owner ${targetOwnerId} about AI response`);
+        // owner's copy carries the visitor's contact details
+        let meta = (await presence.getMetadata(uid)) || {};
+        if (targetOwnerId && (!meta.username && !meta.useremail && !meta.userphone) && chatsCollection) {
+          // If metadata not in buffer, try to load from database
+          try {
+            const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 } });
+            if (doc) {
+              meta = {
+                username: doc.username || null,
+                useremail: doc.useremail || null,
+                userphone: doc.userphone || null,
+                ownerId: doc.ownerId || null
+              };
+              // Update buffer for future messages
+              await presence.setMetadata(uid, meta);
+              console.log('[io] loaded metadata from DB for', uid);
             }
-            
-            // Add to message buffer
-            const aiArr = messagesBuffer.get(uid) || [];
-            aiArr.push(aiResponse);
-            messagesBuffer.set(uid, aiArr);
-            
-            // Persist AI message to MongoDB
-            try {
-              if (chatsCollection) {
-                await chatsCollection.updateOne(
-                  { userId: uid },
-                  { 
-                    $setOnInsert: { userId: uid, createdAt: new Date() },
-                    $set: { ownerId: targetOwnerId || null },
-                    $push: { conversation: aiResponse }
-                  },
-                  { upsert: true }
-                );
-              }
-            } catch(e) { console.error('mongo append AI message error', e); }
-          } else {
-            console.log(`[AI] No response generated for user ${uid} (AI might be inactive)`);
+          } catch (dbError) {
+            console.error('[io] error loading metadata from DB:', dbError);
           }
-        } catch (aiError) {
-          console.error('[AI] Error processing user message:', aiError);
         }
-        // ============ END AI INTEGRATION ============
+        if (!targetOwnerId) console.log('[io] incoming message but no owner assigned for', uid);
+
+        // persisted once and forwarded to the owner; the AI reply runs as a message hook
+        const message = await sendMessage({
+          userId: uid,
+          ownerId: targetOwnerId,
+          from: 'user',
+          text,
+          clientMessageId,
+          ownerExtras: {
+            username: meta.username || null,
+            useremail: meta.useremail || null,
+            userphone: meta.userphone || null
+          }
+        });
+        reply({ ok: true, message });
 
-      } catch (e) { console.error(e); }
+      } catch (e) {
+        console.error(e);
+        reply({ ok: false, error: e.statusCode === 400 ? e.message : 'Failed to send message' });
+      }
     });
   }
 
-  // allow owner to set metadata via socket (from dashboard or admin)
-  socket.on('setMetadata', async (payload) => {
+  // allow owner to set metadata via socket (from dashboard or admin); the optional ack gets { ok }
+  socket.on('setMetadata', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
     try {
       console.log('[setMetadata] 📝 Received payload:', JSON.stringify(payload, null, 2));
-      const { userId: uid, username, useremail, userphone, ownerId } = payload || {};
+      const { username, useremail, userphone } = payload || {};
+      // visitors can only update their own (verified) metadata
+      const uid = role === 'owner' ? (payload && payload.userId) : userId;
+      // owner sockets tag users with their own authenticated id, visitors with the owner their
+      // token is bound to; a payload ownerId is never trusted
+      const ownerId = ownerUserId;
       if (!uid) {
         console.log('[setMetadata] ❌ No userId in payload, ignoring');
-        return;
+        return reply({ ok: false, error: 'userId is required' });
+      }
+      // never move another owner's chat (or another agent's conversation) to the caller
+      if (chatsCollection) {
+        const existing = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { ownerId: 1, assignedAgentId: 1 } });
+        if (existing && existing.ownerId && existing.ownerId !== ownerId) {
+          console.log('[setMetadata] ❌ user', uid, 'belongs to owner', existing.ownerId, 'not', ownerId);
+          return reply({ ok: false, error: 'Forbidden' });
+        }
+        const agentId = role === 'owner' && socket.data.agentRole !== 'supervisor' ? socket.data.agentId : null;
+        if (existing && agentId && existing.assignedAgentId && existing.assignedAgentId !== agentId) {
+          return reply({ ok: false, error: 'Conversation is assigned to another agent' });
+        }
       }
       const meta = { username: username || null, useremail: useremail || null, userphone: userphone || null, ownerId: ownerId || null };
       console.log('[setMetadata] 💾 Storing in buffer for userId:', uid, 'meta:', meta);
-      metadataBuffer.set(uid, meta);
+      await presence.setMetadata(uid, meta);
+      await updateVisitorPresence(uid, { username: meta.username, useremail: meta.useremail });
       if (chatsCollection) {
         console.log('[setMetadata] 🗄️  Upserting to MongoDB...');
-        const result = await chatsCollection.updateOne(
-          { userId: uid },
-          { $setOnInsert: { userId: uid, createdAt: new Date() }, $set: meta },
-          { upsert: true }
-        );
-        console.log('[setMetadata] ✅ MongoDB update result:', {
-          matched: result.matchedCount,
-          modified: result.modifiedCount,
-          upserted: result.upsertedCount,
-          upsertedId: result.upsertedId
-        });
+        const chat = await ensureConversation(uid, { set: meta });
+        console.log('[setMetadata] ✅ MongoDB updated chat:', chat && chat._id);
       } else {
         console.log('[setMetadata] ⚠️  No chatsCollection, skipping DB save');
       }
@@ -517,60 +1012,452 @@ io.on('connection', async (socket) => {
           console.log('[setMetadata] ℹ️  No ownerId, skipping owner notification');
         }
       } catch(e){ console.error('[setMetadata] ❌ emit metadata update error', e); }
-    } catch (e) { console.error('[setMetadata] ❌ socket setMetadata error', e); }
+      // optional custom attributes ({ key: value }), checked against the owner's definitions
+      // (visitors only set visitorWritable ones)
+      if (ownerId && payload.attributes) {
+        try {
+          const by = role === 'owner' ? (socket.data.agentId || 'owner') : 'visitor';
+          await changeVisitorAttributes(ownerId, uid, payload.attributes, by);
+        } catch(e) {
+          if (!e.statusCode) console.error('[setMetadata] ❌ attributes not saved:', e);
+          return reply({ ok: false, error: e.statusCode ? e.message : 'Failed to update attributes' });
+        }
+      }
+      reply({ ok: true });
+    } catch (e) {
+      console.error('[setMetadata] ❌ socket setMetadata error', e);
+      reply({ ok: false, error: 'Failed to save metadata' });
+    }
   });
 
 }); // end io.on('connection')
 
-// HTTP endpoints to retrieve stored chats
-app.get('/chats', async (req, res) => {
+// HTTP endpoints to retrieve stored chats (scoped to the authenticated owner)
+app.get('/chats', requireOwnerAuth, async (req, res) => {
   try {
     if (!chatsCollection) return res.status(500).json({ error: 'db not connected' });
-    const docs = await chatsCollection.find({}).sort({ createdAt: -1 }).limit(200).toArray();
+    const docs = await chatsCollection.find({ ownerId: req.ownerId }).sort({ createdAt: -1 }).limit(200).toArray();
     res.json(docs);
   } catch (e) { console.error(e); res.status(500).json({ error: 'failed' }); }
 });
 
-app.get('/chats/:userId', async (req, res) => {
+app.get('/chats/:userId', requireOwnerAuth, async (req, res) => {
   try {
     if (!chatsCollection) return res.status(500).json({ error: 'db not connected' });
     const uid = req.params.userId;
-    const doc = await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 } });
-    res.json(doc || {});
+    const doc = await chatsCollection.findOne({ userId: uid, ownerId: req.ownerId }, { sort: { createdAt: -1 } });
+    if (!doc) return res.json({});
+    // messages live in their own collection; keep returning the recent transcript for older dashboards
+    doc.conversation = await getRecentMessages(uid, 200);
+    res.json(doc);
   } catch (e) { console.error(e); res.status(500).json({ error: 'failed' }); }
 });
 
+// send an error thrown by a functions/ module (statusCode set there, 500 otherwise) as JSON
+function sendApiError(res, error, what) {
+  if (!error.statusCode) console.error(`Error ${what}:`, error);
+  res.status(error.statusCode || 500).json({ success: false, error: error.message });
+}
+
+// Owner-scoped conversation list: cursor pagination, sorted by last activity
+// Query: cursor, limit, order (desc|asc), status (open,pending,snoozed,resolved), from, to, ai (active|human), unread (true|false), tag,
+// assignee (agent id | me | none), attr[key]=value (custom visitor attributes)
+// Agents without the supervisor role only get their own and unassigned conversations
+app.get('/api/conversations', requireOwnerAuth, async (req, res) => {
+  try {
+    const query = req.query.assignee === 'me' ? { ...req.query, assignee: req.agentId || 'none' } : req.query;
+    const actor = await requestActor(req);
+    const result = await listConversations(req.ownerId, query, { visibleTo: actor.supervisor ? null : actor.agentId });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.statusCode !== 400) console.error('Error listing conversations:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// A visitor's conversation sessions (a new one starts after resolution or a long silence),
+// current session first
+app.get('/api/conversations/:userId/sessions', requireOwnerAuth, async (req, res) => {
+  try {
+    await requireHandler(req, req.params.userId);
+    const sessions = await getVisitorSessions(req.ownerId, req.params.userId);
+    if (!sessions) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    sendApiError(res, error, 'listing conversation sessions');
+  }
+});
+
+// Page through one conversation's messages, newest page first (?before=<nextBefore>&limit=)
+// ?sessionId= reads an earlier session of the visitor instead of the current one
+app.get('/api/conversations/:userId/messages', requireOwnerAuth, async (req, res) => {
+  try {
+    await requireHandler(req, req.params.userId);
+    const result = await getConversationMessages(req.ownerId, req.params.userId, req.query);
+    if (!result) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.statusCode !== 400) console.error('Error fetching conversation messages:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ TEAM AGENTS ============
+
+// List the owner's agents (?includeInactive=true for deactivated ones too)
+app.get('/api/agents', requireOwnerAuth, async (req, res) => {
+  try {
+    const agents = await listAgents(req.ownerId, { includeInactive: req.query.includeInactive === 'true' });
+    const online = new Set(await presence.listOnlineAgents(req.ownerId));
+    res.json({ success: true, data: agents.map(agent => ({ ...agent, online: online.has(agent.id) })) });
+  } catch (error) {
+    sendApiError(res, error, 'listing agents');
+  }
+});
+
+// Add an agent: { name, email, role: 'agent' | 'supervisor' }
+app.post('/api/agents', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const agent = await createAgent(req.ownerId, req.body);
+    res.status(201).json({ success: true, data: agent });
+  } catch (error) {
+    sendApiError(res, error, 'creating agent');
+  }
+});
+
+// Update an agent's name, email, role or active flag
+app.patch('/api/agents/:agentId', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const agent = await updateAgent(req.ownerId, req.params.agentId, req.body);
+    if (!agent) return res.status(404).json({ success: false, error: 'Agent not found' });
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    sendApiError(res, error, 'updating agent');
+  }
+});
+
+// Deactivate an agent: their sockets are disconnected and their conversations go back to the team
+app.delete('/api/agents/:agentId', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const result = await deactivateAgent(req.ownerId, req.params.agentId);
+    if (!result) return res.status(404).json({ success: false, error: 'Agent not found' });
+    io.in(agentRoom(result.agent.id)).disconnectSockets(true);
+    result.releasedUserIds.forEach(uid => announceAssignment(req.ownerId, uid, null, result.agent.id, 'owner'));
+    res.json({ success: true, data: result.agent });
+  } catch (error) {
+    sendApiError(res, error, 'deactivating agent');
+  }
+});
+
+// Issue a dashboard token for an agent (sent by the dashboard as its socket auth token);
+// tokens issued before they carried the agent audience are refused and must be issued again
+app.post('/api/agents/:agentId/token', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const agent = await getAgent(req.ownerId, req.params.agentId);
+    if (!agent || !agent.active) return res.status(404).json({ success: false, error: 'Agent not found' });
+    res.json({ success: true, data: { token: signAgentToken(req.ownerId, agent.id) } });
+  } catch (error) {
+    sendApiError(res, error, 'issuing agent token');
+  }
+});
+
+// Assignment strategy for new conversations: round_robin | least_busy | manual
+app.get('/api/team/settings', requireOwnerAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await getTeamSettings(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'fetching team settings');
+  }
+});
+
+app.put('/api/team/settings', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.json({ success: true, data: await updateTeamSettings(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'updating team settings');
+  }
+});
+
+// The visitor's own transcript, for a widget that still has its identity (userId and visitor
+// token in localStorage) but lost its transcript (kept per tab in sessionStorage): a new tab, a
+// reopened browser. A browser whose storage was cleared has lost the token as well and starts
+// over as a new visitor; anything else would let whoever knows a userId read the transcript
+// (X-Visitor-Token header). Query: before (nextBefore of the previous page), limit
+app.get('/api/visitor/:userId/messages', requireVisitorAuth, async (req, res) => {
+  try {
+    const result = await getVisitorMessages(req.visitorId, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.statusCode !== 400) console.error('Error fetching visitor messages:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// who is calling: { agentId (null for the account owner), supervisor }; requireOwnerAuth
+// already turned inactive agents away
+async function requestActor(req) {
+  if (!req.agentId) return { agentId: null, supervisor: true };
+  return { agentId: req.agentId, supervisor: req.agentRole === 'supervisor' };
+}
+
+// the caller (see requestActor) when they may act on the conversation: supervisors always,
+// agents when it is theirs or unassigned; otherwise a 403
+async function requireHandler(req, uid) {
+  const actor = await requestActor(req);
+  if (!actor.supervisor) {
+    const assignedAgentId = await getAssignedAgentId(uid);
+    if (assignedAgentId && assignedAgentId !== actor.agentId) {
+      const error = new Error('Conversation is assigned to another agent');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+  return actor;
+}
+
+// Hand a conversation to another agent: { agentId, note }
+app.post('/api/conversations/:userId/transfer', requireOwnerAuth, async (req, res) => {
+  try {
+    const { agentId: toAgentId, note } = req.body || {};
+    if (!toAgentId) return res.status(400).json({ success: false, error: 'agentId is required' });
+    const actor = await requestActor(req);
+    const transfer = await performTransfer(req.ownerId, req.params.userId, String(toAgentId), note, actor);
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    sendApiError(res, error, 'transferring conversation');
+  }
+});
+
+// Change a conversation's status: { status: open | pending | snoozed | resolved, snoozedUntil, newSession }
+// Agents may only change conversations that are theirs or unassigned
+app.post('/api/conversations/:userId/status', requireOwnerAuth, async (req, res) => {
+  try {
+    const actor = await requireHandler(req, req.params.userId);
+    const change = await changeConversationStatus(req.ownerId, req.params.userId, req.body, actor.agentId || 'owner');
+    res.json({ success: true, data: change });
+  } catch (error) {
+    sendApiError(res, error, 'changing conversation status');
+  }
+});
+
+// Tag a conversation: { add: [names], remove: [names] }
+app.post('/api/conversations/:userId/tags', requireOwnerAuth, async (req, res) => {
+  try {
+    const actor = await requireHandler(req, req.params.userId);
+    const change = await changeConversationTags(req.ownerId, req.params.userId, req.body, actor.agentId || 'owner');
+    res.json({ success: true, data: change });
+  } catch (error) {
+    sendApiError(res, error, 'updating conversation tags');
+  }
+});
+
+// Team-only timeline of a conversation (assignments, transfers and their handover notes)
+// (handover notes are private: agents only see the timeline of their own or unassigned conversations)
+app.get('/api/conversations/:userId/timeline', requireOwnerAuth, async (req, res) => {
+  try {
+    await requireHandler(req, req.params.userId);
+    const events = await getTimeline(req.ownerId, req.params.userId);
+    if (!events) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    res.json({ success: true, data: events });
+  } catch (error) {
+    sendApiError(res, error, 'fetching conversation timeline');
+  }
+});
+
+// ============ TAGS AND VISITOR ATTRIBUTES ============
+
+// Tag definitions; any team member can list them, the account owner manages them
+app.get('/api/tags', requireOwnerAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await listTags(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'listing tags');
+  }
+});
+
+// Define a tag: { name, color (#rrggbb), description }
+app.post('/api/tags', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await createTag(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'creating tag');
+  }
+});
+
+// Rename or recolor a tag (a rename applies to every tagged conversation)
+app.patch('/api/tags/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const tag = await updateTag(req.ownerId, req.params.id, req.body);
+    if (!tag) return res.status(404).json({ success: false, error: 'Tag not found' });
+    res.json({ success: true, data: tag });
+  } catch (error) {
+    sendApiError(res, error, 'updating tag');
+  }
+});
+
+app.delete('/api/tags/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const tag = await deleteTag(req.ownerId, req.params.id);
+    if (!tag) return res.status(404).json({ success: false, error: 'Tag not found' });
+    res.json({ success: true, data: tag });
+  } catch (error) {
+    sendApiError(res, error, 'deleting tag');
+  }
+});
+
+// Custom visitor attribute definitions: { key, label, type: text|number|boolean|date|select, options }
+app.get('/api/attributes', requireOwnerAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await listAttributeDefinitions(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'listing attributes');
+  }
+});
+
+// Define an attribute: { key, label, type, options (select), visitorWritable (the widget may
+// set it; default false) }
+app.post('/api/attributes', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await createAttributeDefinition(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'creating attribute');
+  }
+});
+
+// Only the label, select options and visitorWritable can change
+app.patch('/api/attributes/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const definition = await updateAttributeDefinition(req.ownerId, req.params.id, req.body);
+    if (!definition) return res.status(404).json({ success: false, error: 'Attribute not found' });
+    res.json({ success: true, data: definition });
+  } catch (error) {
+    sendApiError(res, error, 'updating attribute');
+  }
+});
+
+// Deleting a definition removes its values from every visitor
+app.delete('/api/attributes/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const definition = await deleteAttributeDefinition(req.ownerId, req.params.id);
+    if (!definition) return res.status(404).json({ success: false, error: 'Attribute not found' });
+    res.json({ success: true, data: definition });
+  } catch (error) {
+    sendApiError(res, error, 'deleting attribute');
+  }
+});
+
+// Set or clear a visitor's attributes: { attributes: { key: value | null } }
+app.patch('/api/visitors/:userId/attributes', requireOwnerAuth, async (req, res) => {
+  try {
+    const actor = await requireHandler(req, req.params.userId);
+    const values = req.body && req.body.attributes;
+    const result = await changeVisitorAttributes(req.ownerId, req.params.userId, values, actor.agentId || 'owner');
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendApiError(res, error, 'updating visitor attributes');
+  }
+});
+
+// ============ CANNED RESPONSES ============
+
+// The owner's canned responses, shared by the whole team (only the account owner edits them)
+app.get('/api/canned-responses', requireOwnerAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await listCannedResponses(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'listing canned responses');
+  }
+});
+
+// Add a canned response: { title, shortcut, text } (text may use {{username}}, {{useremail}},
+// {{userphone}} and {{companyWebsite}})
+app.post('/api/canned-responses', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const canned = await createCannedResponse(req.ownerId, req.body);
+    res.status(201).json({ success: true, data: canned });
+  } catch (error) {
+    sendApiError(res, error, 'creating canned response');
+  }
+});
+
+app.patch('/api/canned-responses/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const canned = await updateCannedResponse(req.ownerId, req.params.id, req.body);
+    if (!canned) return res.status(404).json({ success: false, error: 'Canned response not found' });
+    res.json({ success: true, data: canned });
+  } catch (error) {
+    sendApiError(res, error, 'updating canned response');
+  }
+});
+
+app.delete('/api/canned-responses/:id', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    const deleted = await deleteCannedResponse(req.ownerId, req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Canned response not found' });
+    res.json({ success: true });
+  } catch (error) {
+    sendApiError(res, error, 'deleting canned response');
+  }
+});
+
+// Preview a canned response as it would be sent to a visitor (?userId=)
+app.get('/api/canned-responses/:id/preview', requireOwnerAuth, async (req, res) => {
+  try {
+    if (req.query.userId) await requireHandler(req, String(req.query.userId));
+    const text = await expandCannedResponse(req.ownerId, req.params.id, req.query.userId || null);
+    res.json({ success: true, data: { text } });
+  } catch (error) {
+    sendApiError(res, error, 'previewing canned response');
+  }
+});
+
 // allow owner/admin to set metadata for a user via HTTP as well
 app.post('/chats/:userId/metadata', async (req, res) => {
   try {
     const uid = req.params.userId;
+    // allowed for the owner of the chat or the visitor themself (widget fallback); the chat keeps
+    // its owner: owners write as themselves, visitors as the owner their token is bound to
+    const owner = getRequestOwner(req);
+    const visitor = owner ? null : verifyVisitorToken(uid, req.get('X-Visitor-Token'));
+    const existing = chatsCollection
+      ? await chatsCollection.findOne({ userId: uid }, { sort: { createdAt: -1 }, projection: { ownerId: 1 } })
+      : null;
+    const existingOwnerId = (existing && existing.ownerId) || null;
+    const ownerId = owner ? owner.ownerId : ((visitor && visitor.ownerId) || existingOwnerId);
+    if (!(owner || visitor) || (existingOwnerId && existingOwnerId !== ownerId)) {
+      return res.status(401).json({ error: 'not authorized for this user' });
+    }
     console.log('[HTTP metadata] 📝 POST /chats/:userId/metadata');
     console.log('[HTTP metadata] 👤 userId:', uid);
     console.log('[HTTP metadata] 📦 body:', JSON.stringify(req.body, null, 2));
-    const { username, useremail, userphone, ownerId } = req.body || {};
+    const { username, useremail, userphone } = req.body || {};
     const meta = { username: username || null, useremail: useremail || null, userphone: userphone || null, ownerId: ownerId || null };
     console.log('[HTTP metadata] 💾 Storing in buffer:', meta);
-    metadataBuffer.set(uid, meta);
+    await presence.setMetadata(uid, meta);
+    await updateVisitorPresence(uid, { username: meta.username, useremail: meta.useremail });
     if (chatsCollection) {
       console.log('[HTTP metadata] 🗄️  Upserting to MongoDB...');
-      const result = await chatsCollection.updateOne(
-        { userId: uid },
-        { $setOnInsert: { userId: uid, createdAt: new Date() }, $set: meta },
-        { upsert: true }
-      );
-      console.log('[HTTP metadata] ✅ MongoDB update result:', {
-        matched: result.matchedCount,
-        modified: result.modifiedCount,
-        upserted: result.upsertedCount
-      });
+      const chat = await ensureConversation(uid, { set: meta });
+      console.log('[HTTP metadata] ✅ MongoDB updated chat:', chat && chat._id);
     } else {
       console.log('[HTTP metadata] ⚠️  No chatsCollection, skipping DB save');
     }
-    // notify owners
+    // notify the specific owner only
     try { 
-      console.log('[HTTP metadata] 📢 Notifying owners room');
-      io.to('owners').emit('metadata:updated', Object.assign({ userId: uid }, meta)); 
+      console.log('[HTTP metadata] 📢 Notifying owner:', ownerId);
+      if (ownerId) sendToOwnerOrBroadcast(ownerId, 'metadata:updated', Object.assign({ userId: uid }, meta)); 
     } catch(e){ console.error('[HTTP metadata] ❌ emit metadata update error', e); }
+    // optional custom attributes ({ key: value }), checked against the owner's definitions
+    // (visitors only set visitorWritable ones)
+    if (ownerId && req.body && req.body.attributes) {
+      try {
+        const by = owner ? (owner.claims.agentId || 'owner') : 'visitor';
+        await changeVisitorAttributes(ownerId, uid, req.body.attributes, by);
+      } catch (e) {
+        if (!e.statusCode) throw e;
+        return res.status(e.statusCode).json({ error: e.message });
+      }
+    }
     console.log('[HTTP metadata] ✅ Success');
     res.json({ ok: true });
   } catch (e) { 
@@ -661,10 +1548,12 @@ app.delete('/api/ai/resources/:ownerId', async (req, res) => {
 });
 
 // Reset AI for a specific user (reactivate AI)
-app.post('/api/ai/reset/:userId', async (req, res) => {
+app.post('/api/ai/reset/:userId', requireOwnerAuth, async (req, res) => {
   try {
     const { userId } = req.params;
-    await resetAiForUser(userId);
+    // only the caller's own conversation with this visitor
+    const state = await resetAiForUser(userId, { ownerId: req.ownerId, by: req.agentId || 'owner' });
+    if (!state) return res.status(404).json({ success: false, error: 'Conversation not found' });
     res.json({ success: true, message: 'AI reactivated for user' });
   } catch (error) {
     console.error('Error resetting AI:', error);
@@ -673,10 +1562,12 @@ app.post('/api/ai/reset/:userId', async (req, res) => {
 });
 
 // Get AI state for a user
-app.get('/api/ai/state/:userId', async (req, res) => {
+app.get('/api/ai/state/:userId', requireOwnerAuth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const state = await getAiStateInfo(userId);
+    // aiActive plus why it last changed (reason, changedBy/At) and who took over (takenOverBy/At)
+    const state = await getAiStateInfo(userId, { ownerId: req.ownerId });
+    if (!state) return res.status(404).json({ error: 'Conversation not found' });
     res.json(state);
   } catch (error) {
     console.error('Error getting AI state:', error);
@@ -684,6 +1575,75 @@ app.get('/api/ai/state/:userId', async (req, res) => {
   }
 });
 
+// When the AI takes back over from an idle team: { enabled (default false), idleMinutes, when (always |
+// outside_business_hours: a wait ending in business hours is retried until they end),
+// businessHours { timezone, days: { mon: [{ start, end (up to 24:00) }] } }, notice }
+app.get('/api/ai/settings/auto-resume', requireOwnerAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await getAutoResumePolicy(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'reading auto-resume settings');
+  }
+});
+
+// Change it (only the fields sent); the account owner only
+app.put('/api/ai/settings/auto-resume', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.json({ success: true, data: await updateAutoResumePolicy(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'updating auto-resume settings');
+  }
+});
+
+// Which language model answers the owner's visitors: { provider, model } (null = deployment default),
+// plus the providers this deployment is configured for
+app.get('/api/ai/settings/llm', requireOwnerAuth, async (req, res) => {
+  try {
+    const settings = await getLlmSettings(req.ownerId);
+    res.json({ success: true, data: Object.assign({}, settings, { available: listProviders() }) });
+  } catch (error) {
+    sendApiError(res, error, 'reading LLM settings');
+  }
+});
+
+// Pick a provider/model (only the fields sent); the account owner only
+app.put('/api/ai/settings/llm', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.json({ success: true, data: await updateLlmSettings(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'updating LLM settings');
+  }
+});
+
+// The owner's AI persona: { botName, tone, instructions, forbiddenTopics, model, temperature (0-1),
+// maxTokens }, plus the tones to choose from
+app.get('/api/ai/settings/persona', requireOwnerAuth, async (req, res) => {
+  try {
+    const persona = await getPersona(req.ownerId);
+    res.json({ success: true, data: Object.assign({}, persona, { tones: PERSONA_TONES }) });
+  } catch (error) {
+    sendApiError(res, error, 'reading the AI persona');
+  }
+});
+
+// Change it (only the fields sent); the account owner only
+app.put('/api/ai/settings/persona', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.json({ success: true, data: await updatePersona(req.ownerId, req.body) });
+  } catch (error) {
+    sendApiError(res, error, 'updating the AI persona');
+  }
+});
+
+// Back to the default persona and model
+app.delete('/api/ai/settings/persona', requireOwnerAuth, requireAccountOwner, async (req, res) => {
+  try {
+    res.json({ success: true, data: await resetPersona(req.ownerId) });
+  } catch (error) {
+    sendApiError(res, error, 'resetting the AI persona');
+  }
+});
+
 // ============ KNOWLEDGE MANAGER API ENDPOINTS ============
 const {
   saveQnA,
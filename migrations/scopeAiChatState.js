@@ -0,0 +1,73 @@
+/**
+ * scopeAiChatState.js
+ * One-off migration: AI states stored before sessions existed are keyed by
+ * `userId` only. Give each one the `ownerId` and `conversationId` of the chat it
+ * was written for, the visitor's oldest chat (there was one chat per visitor then),
+ * so it can no longer apply to the visitor's chats with other owners.
+ *
+ * A legacy state whose chat already has a scoped state, or whose visitor has no
+ * chat any more, is deleted. Safe to re-run: migrated states are no longer legacy.
+ *
+ * Usage:
+ *   node migrations/scopeAiChatState.js            # migrate
+ *   node migrations/scopeAiChatState.js --dry-run  # only report
+ */
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+
+/**
+ * Scope every legacy AI state to its chat
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} - { scoped, deleted }
+ */
+async function scopeAiChatState({ dryRun = false } = {}) {
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db(MONGO_DB);
+  const chats = db.collection('chats');
+  const states = db.collection('ai_chat_state');
+
+  let scoped = 0;
+  let deleted = 0;
+
+  try {
+    const cursor = states.find({ conversationId: { $exists: false } });
+
+    for await (const state of cursor) {
+      const chat = await chats.findOne({ userId: state.userId }, { sort: { createdAt: 1, _id: 1 }, projection: { ownerId: 1 } });
+      const key = chat ? { ownerId: chat.ownerId || null, conversationId: chat._id.toString() } : null;
+      const superseded = key && await states.findOne(key, { projection: { _id: 1 } });
+
+      if (!key || superseded) {
+        deleted++;
+        console.log(`[migrate] ${state.userId}: ${key ? 'already has a scoped state' : 'no chat'}, deleting`);
+        if (!dryRun) await states.deleteOne({ _id: state._id });
+        continue;
+      }
+
+      scoped++;
+      console.log(`[migrate] ${state.userId}: scoped to session ${key.conversationId} of ${key.ownerId}`);
+      if (!dryRun) await states.updateOne({ _id: state._id }, { $set: key });
+    }
+
+    console.log(`[migrate] ${dryRun ? 'would scope' : 'scoped'} ${scoped} AI states, ${dryRun ? 'would delete' : 'deleted'} ${deleted}`);
+    return { scoped, deleted };
+  } finally {
+    await client.close();
+  }
+}
+
+if (require.main === module) {
+  scopeAiChatState({ dryRun: process.argv.slice(2).includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('[migrate] failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { scopeAiChatState };
@@ -0,0 +1,108 @@
+/**
+ * splitConversationMessages.js
+ * One-off migration: move the embedded `chats.conversation` arrays into the
+ * `messages` collection (one document per message) and drop the arrays.
+ *
+ * Safe to re-run: every migrated message keeps its array position as
+ * `legacyIndex`, which is unique per conversation, so a chat that was only
+ * partly migrated is completed instead of duplicated.
+ *
+ * Usage:
+ *   node migrations/splitConversationMessages.js            # migrate and unset arrays
+ *   node migrations/splitConversationMessages.js --keep     # migrate, keep arrays
+ *   node migrations/splitConversationMessages.js --dry-run  # only count
+ */
+
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+const { ensureIndexes, summarize, toMessage } = require('../functions/messageStore');
+
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MONGO_DB = process.env.MONGO_DB || 'aichatbot';
+
+/**
+ * Migrate every chat that still has a conversation array
+ * @param {object} options - { dryRun, keepArrays }
+ * @returns {Promise<object>} - { chats, messages }
+ */
+async function splitConversationMessages({ dryRun = false, keepArrays = false } = {}) {
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db(MONGO_DB);
+  const chats = db.collection('chats');
+  const messages = db.collection('messages');
+
+  let chatCount = 0;
+  let messageCount = 0;
+
+  try {
+    if (!dryRun) await ensureIndexes(db);
+
+    const cursor = chats.find(
+      { 'conversation.0': { $exists: true } },
+      { projection: { userId: 1, ownerId: 1, conversation: 1 } }
+    );
+
+    for await (const chat of cursor) {
+      const conversationId = chat._id.toString();
+      const conversation = chat.conversation;
+      chatCount++;
+      messageCount += conversation.length;
+
+      if (dryRun) {
+        console.log(`[migrate] ${chat.userId}: ${conversation.length} messages`);
+        continue;
+      }
+
+      const ops = conversation.map((msg, legacyIndex) => {
+        const { _id, id, ...fields } = msg || {};
+        return {
+          updateOne: {
+            filter: { conversationId, legacyIndex },
+            update: {
+              $setOnInsert: {
+                ...fields,
+                _id: new ObjectId(),
+                conversationId,
+                legacyIndex,
+                userId: chat.userId,
+                ownerId: fields.ownerId || chat.ownerId || null,
+                ts: fields.ts || chat._id.getTimestamp().getTime(),
+              },
+            },
+            upsert: true,
+          },
+        };
+      });
+      await messages.bulkWrite(ops, { ordered: false });
+
+      const last = await messages.find({ conversationId }).sort({ ts: -1, _id: -1 }).limit(1).next();
+      const update = { $set: { lastMessage: last ? summarize(toMessage(last)) : null } };
+      if (last) update.$set.lastActivityAt = new Date(last.ts);
+      if (!keepArrays) update.$unset = { conversation: '' };
+      await chats.updateOne({ _id: chat._id }, update);
+
+      console.log(`[migrate] ${chat.userId}: moved ${conversation.length} messages`);
+    }
+
+    console.log(`[migrate] ${dryRun ? 'would migrate' : 'migrated'} ${messageCount} messages from ${chatCount} chats`);
+    return { chats: chatCount, messages: messageCount };
+  } finally {
+    await client.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  splitConversationMessages({
+    dryRun: args.includes('--dry-run'),
+    keepArrays: args.includes('--keep'),
+  })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('[migrate] failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { splitConversationMessages };
@@ -195,6 +195,7 @@
     .${PREFIX}bubble { max-width: 78%; padding:10px 12px; border-radius: ${bubbleBorderRadius}; line-height:1.3; font-size:${fontSize}; box-shadow: 0 4px 16px rgba(2,6,23,0.06); }
     .${PREFIX}bot { align-self:flex-start; background: ${botBubble}; color:${botBubble === '#1f2937' || botBubble === '#0f172a' ? '#fff' : '#0f172a'}; border-bottom-left-radius:4px; }
     .${PREFIX}user { align-self:flex-end; background: ${userBubble}; color:${themeText}; border-bottom-right-radius:4px; }
+    .${PREFIX}status { display:block; margin-top:2px; font-size:10px; text-align:right; opacity:.7; }
     .${PREFIX}inputArea { padding: 10px; border-top: 1px solid ${chatBg === '#0f172a' || chatBg === '#1f2937' ? '#334155' : '#eef2f7'}; display:flex; gap:8px; align-items:flex-end; }
     .${PREFIX}textarea { flex:1; min-height:44px; max-height:120px; padding:10px 12px; border-radius:10px; border:1px solid ${chatBg === '#0f172a' || chatBg === '#1f2937' ? '#475569' : '#e6edf3'}; outline:none; resize:none; font-size:${fontSize}; font-family:inherit; background:${chatBg === '#0f172a' || chatBg === '#1f2937' ? '#1e293b' : '#fff'}; color:${chatBg === '#0f172a' || chatBg === '#1f2937' ? '#fff' : '#0f172a'}; }
     .${PREFIX}send { background:linear-gradient(135deg,${iconBg},${adjustHex(iconBg, -18)}); color:${themeText}; border:none; padding:10px 12px; border-radius:10px; cursor:pointer; display:flex; align-items:center; gap:8px; }
@@ -300,7 +301,7 @@
 
     function renderConvo() {
       messagesEl.innerHTML = '';
-      convo.forEach(item => appendMessage(item.role, item.text, false));
+      convo.forEach(item => appendMessage(item.role, item.text, false, item));
       scrollBottom();
     }
 
@@ -319,6 +320,7 @@
       if(!meta){ preFormEl.style.display = 'flex'; messagesEl.style.display = 'none'; textarea.style.display = 'none'; sendBtn.style.display = 'none'; } else { preFormEl.style.display = 'none'; messagesEl.style.display = 'flex'; textarea.style.display = ''; sendBtn.style.display = ''; }
       textarea.focus();
       renderConvo();
+      markRead();
     }
 
     function closePanel() {
@@ -340,13 +342,167 @@
 
     function scrollBottom(){ messagesEl.scrollTop = messagesEl.scrollHeight; }
 
-    function appendMessage(role, text, save=true){
+    // info: { id, clientMessageId, status } — server message id, the id generated here for socket sends
+    // and, for the visitor's own messages, 'sending' | 'sent' | 'delivered' | 'read' | 'failed'
+    function appendMessage(role, text, save=true, info={}){
       const msg = document.createElement('div');
       msg.className = PREFIX + 'bubble ' + (role === 'user' ? PREFIX + 'user' : PREFIX + 'bot');
       msg.textContent = text;
+      if(info.id) msg.setAttribute('data-id', info.id);
+      if(info.clientMessageId) msg.setAttribute('data-client-id', info.clientMessageId);
+      if(role === 'user'){
+        const status = document.createElement('span');
+        status.className = PREFIX + 'status';
+        msg.appendChild(status);
+        renderStatus(msg, info.status);
+      }
       messagesEl.appendChild(msg);
-      if(save){ convo.push({role, text, ts: Date.now()}); saveConvo(); }
+      const item = {role, text, ts: info.ts || Date.now(), id: info.id || null, clientMessageId: info.clientMessageId || null, status: info.status || null};
+      if(save){ convo.push(item); saveConvo(); }
       scrollBottom();
+      return { el: msg, item };
+    }
+
+    const STATUS_LABELS = { sending: 'Sending…', sent: '✓', delivered: '✓✓', read: 'Seen', failed: 'Not sent' };
+    const STATUS_ORDER = ['sending', 'sent', 'delivered', 'read'];
+
+    function renderStatus(el, status){
+      const statusEl = el && el.querySelector('.' + PREFIX + 'status');
+      if(statusEl) statusEl.textContent = STATUS_LABELS[status] || '';
+    }
+
+    // update the delivery state of one of the visitor's messages (never goes backwards)
+    function setMessageStatus(id, status){
+      const item = convo.find(m => m.id === id);
+      if(!item || STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(item.status)) return;
+      item.status = status;
+      saveConvo();
+      renderStatus(messagesEl.querySelector('[data-id="' + id + '"]'), status);
+    }
+
+    function newClientMessageId(){
+      if(window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+      return 'c_' + Date.now().toString(36) + Math.random().toString(36).slice(2,10);
+    }
+
+    function currentOwnerId(){
+      const meta = JSON.parse(localStorage.getItem(PREFIX + 'meta') || 'null');
+      return (meta && meta.ownerId) || adminId || null;
+    }
+
+    // Socket sends keep their clientMessageId until the server acks them, so a send cut off by a
+    // reconnect is simply emitted again: the server dedupes on the id and acks with the stored message
+    const SEND_ACK_TIMEOUT_MS = 10000;
+    const inFlight = new Set();
+
+    function emitPending(item){
+      if(!socket || !socketConnected || item.id || inFlight.has(item.clientMessageId)) return;
+      inFlight.add(item.clientMessageId);
+      socket.timeout(SEND_ACK_TIMEOUT_MS).emit('message', { text: item.text, ownerId: currentOwnerId(), clientMessageId: item.clientMessageId }, (err, res) => {
+        inFlight.delete(item.clientMessageId);
+        if(err) return; // no ack in time: retried on the next connect
+        if(!res || !res.ok || !res.message){
+          // rejected by the server; resending would not help
+          item.status = 'failed';
+          saveConvo();
+          renderStatus(messagesEl.querySelector('[data-client-id="' + item.clientMessageId + '"]'), 'failed');
+          return;
+        }
+        item.id = res.message.id;
+        item.ts = res.message.ts || item.ts;
+        const el = messagesEl.querySelector('[data-client-id="' + item.clientMessageId + '"]');
+        if(el) el.setAttribute('data-id', item.id);
+        setMessageStatus(item.id, 'sent');
+      });
+    }
+
+    function flushPending(){
+      convo.filter(m => m.role === 'user' && m.clientMessageId && !m.id && m.status === 'sending').forEach(emitPending);
+    }
+
+    // AI answers being streamed: streamId -> { el, seq }. Drafts are only shown, never saved;
+    // the stored message (same streamId) replaces the draft's text and is saved instead
+    const streamDrafts = {};
+
+    function appendDelta(streamId, seq, delta){
+      let draft = streamDrafts[streamId];
+      if(!draft){
+        draft = streamDrafts[streamId] = { el: appendMessage('bot', '', false).el, seq: -1 };
+      }
+      if(typeof seq === 'number' && seq <= draft.seq) return;
+      draft.seq = typeof seq === 'number' ? seq : draft.seq + 1;
+      // re-rendering the transcript (opening the panel) drops unsaved bubbles
+      if(!draft.el.isConnected) messagesEl.appendChild(draft.el);
+      draft.el.textContent += delta;
+      scrollBottom();
+    }
+
+    function finishDraft(msg){
+      const draft = streamDrafts[msg.streamId];
+      delete streamDrafts[msg.streamId];
+      if(!draft.el.isConnected) messagesEl.appendChild(draft.el);
+      draft.el.textContent = msg.text;
+      if(msg.id) draft.el.setAttribute('data-id', msg.id);
+      convo.push({role: 'bot', text: msg.text, ts: msg.ts || Date.now(), id: msg.id || null, clientMessageId: null, status: null});
+      saveConvo();
+      scrollBottom();
+    }
+
+    // show a message pushed by the server (live or replayed) unless we already have it
+    function receiveMessage(msg){
+      if(!msg || !(msg.from === 'owner' || msg.from === 'ai' || msg.from === 'system')) return false;
+      if(msg.id && convo.some(m => m.id === msg.id)) return false;
+      if(msg.streamId && streamDrafts[msg.streamId]){
+        finishDraft(msg);
+        return true;
+      }
+      appendMessage('bot', msg.text, true, { id: msg.id, ts: msg.ts });
+      return true;
+    }
+
+    // newest message the server knows we have; sent on (re)connect so missed messages get replayed
+    function lastSeen(){
+      const last = convo.filter(m => m.id).pop();
+      return last ? { lastSeenId: last.id, lastSeenTs: last.ts } : {};
+    }
+
+    // restore the transcript from the server when this tab has none yet (new tab, reopened browser);
+    // needs the visitor token from localStorage, so a browser with cleared storage starts a new chat
+    function restoreHistory(){
+      if(!visitorToken || convo.some(m => m.id)) return;
+      fetch(SOCKET_URL + '/api/visitor/' + encodeURIComponent(userId) + '/messages', { headers: { 'X-Visitor-Token': visitorToken } })
+        .then(r => r.ok ? r.json() : null)
+        .then((body) => {
+          const messages = (body && body.data && body.data.messages) || [];
+          if(!messages.length || convo.some(m => m.id)) return;
+          const history = messages.map(m => ({
+            role: m.from === 'user' ? 'user' : 'bot',
+            text: m.text,
+            ts: m.ts,
+            id: m.id,
+            clientMessageId: m.clientMessageId || null,
+            status: m.from === 'user' ? (m.readAt ? 'read' : m.deliveredAt ? 'delivered' : 'sent') : null
+          }));
+          // keep the local welcome text first and messages the server does not have yet last;
+          // a local message whose clientMessageId is in the history is the server's copy already
+          const stored = new Set(history.map(m => m.clientMessageId).filter(Boolean));
+          const unsent = convo.filter(m => m.role === 'user' && !m.id && m.clientMessageId && !stored.has(m.clientMessageId));
+          convo = convo.filter(m => m.role !== 'user' && !m.id).concat(history, unsent);
+          saveConvo();
+          renderConvo();
+          markRead();
+        })
+        .catch(err => console.warn('[chat widget] history restore failed', err));
+    }
+
+    // while the panel is open, tell the server the visitor has read everything up to the latest reply
+    let lastReadId = null;
+    function markRead(){
+      if(!open || !socket || !socketConnected) return;
+      const last = convo.filter(m => m.role !== 'user' && m.id).pop();
+      if(!last || last.id === lastReadId) return;
+      lastReadId = last.id;
+      socket.emit('message:read', { upTo: last.id });
     }
 
     function showTyping(){
@@ -370,6 +526,8 @@
       userId = 'u_' + Math.random().toString(36).slice(2,9);
       localStorage.setItem(PREFIX + 'userId', userId);
     }
+    // signed by the server on first connect; proves we own userId on every reconnect
+    let visitorToken = localStorage.getItem(PREFIX + 'visitorToken');
 
     function loadSocketClient(){
       return new Promise((resolve, reject) => {
@@ -383,7 +541,38 @@
     }
 
     let socketConnected = false;
-    let pendingTypingIndicator = null; // Track typing indicator for socket messages
+    let remoteTypingIndicator = null; // typing bubble driven by the server (owner typing / AI thinking)
+
+    function showRemoteTyping(){
+      if(!remoteTypingIndicator) remoteTypingIndicator = showTyping();
+    }
+
+    function hideRemoteTyping(){
+      if(remoteTypingIndicator){
+        removeTyping(remoteTypingIndicator);
+        remoteTypingIndicator = null;
+      }
+    }
+
+    // tell the owner we are typing: at most one start every 2s, stop after 3s of silence
+    let lastTypingEmit = 0;
+    let typingStopTimer = null;
+    function notifyTyping(){
+      if(!socket || !socketConnected) return;
+      const now = Date.now();
+      if(now - lastTypingEmit > 2000){
+        lastTypingEmit = now;
+        socket.emit('typing:start');
+      }
+      clearTimeout(typingStopTimer);
+      typingStopTimer = setTimeout(stopTyping, 3000);
+    }
+
+    function stopTyping(){
+      clearTimeout(typingStopTimer);
+      if(lastTypingEmit && socket && socketConnected) socket.emit('typing:stop');
+      lastTypingEmit = 0;
+    }
     
     // Auto-display configuration in debug element if present
     function displayDebugConfig() {
@@ -402,8 +591,36 @@
     
     loadSocketClient().then((io) => {
       try{
-        // Pass ownerId in socket connection query
-        socket = io(SOCKET_URL, { query: { role: 'user', userId, ownerId: adminId } });
+        // Pass ownerId in socket connection query; identity goes in auth (re-read on every reconnect)
+        // WebSocket only, so the widget also works with servers that disable long-polling (SOCKET_WEBSOCKET_ONLY, see index.js)
+        socket = io(SOCKET_URL, {
+          transports: ['websocket'],
+          query: { role: 'user', userId, ownerId: adminId },
+          auth: (cb) => cb(Object.assign({ userId, visitorToken, page: window.location.href, title: document.title }, lastSeen()))
+        });
+
+        // server issues (or replaces) our identity on first connect and renews the token on every connect
+        socket.on('visitor:token', (data) => {
+          if(!data || !data.userId || !data.token) return;
+          if(data.userId !== userId) console.log('[chat widget] server assigned new userId', data.userId);
+          userId = data.userId;
+          visitorToken = data.token;
+          try{
+            localStorage.setItem(PREFIX + 'userId', userId);
+            localStorage.setItem(PREFIX + 'visitorToken', visitorToken);
+          } catch(e){}
+          displayDebugConfig();
+        });
+
+        socket.on('connect_error', (err) => {
+          // stale/expired/foreign token: drop it and connect again as a new visitor
+          if(err && err.data && err.data.code === 'VISITOR_TOKEN_INVALID'){
+            console.warn('[chat widget] visitor token rejected, requesting a new identity');
+            visitorToken = null;
+            try{ localStorage.removeItem(PREFIX + 'visitorToken'); } catch(e){}
+            socket.connect();
+          }
+        });
         socket.on('connect', () => {
           socketConnected = true;
           console.log('[chat widget] ✅ connected to socket', socket.id, 'userId', userId, 'ownerId', adminId);
@@ -417,22 +634,67 @@
           } else {
             console.log('[chat widget] ℹ️ No saved metadata to sync');
           }
+          flushPending();
+          markRead();
         });
 
-        socket.on('message', (msg) => {
+        socket.on('message', (msg, ack) => {
+          // acknowledging tells the server (and the owner) the message was delivered
+          if (typeof ack === 'function') ack({ ok: true });
           // server forwards owner messages and AI messages
-          if (msg && (msg.from === 'owner' || msg.from === 'ai')) {
+          if (receiveMessage(msg)) {
             // Remove typing indicator when message arrives
-            if(pendingTypingIndicator){
-              removeTyping(pendingTypingIndicator);
-              pendingTypingIndicator = null;
-            }
-            appendMessage('bot', msg.text);
+            hideRemoteTyping();
+            markRead();
           }
         });
 
+        // an AI answer arriving word by word; the final 'message' carries the same streamId
+        socket.on('message:delta', (data) => {
+          if (!data || !data.streamId || typeof data.delta !== 'string') return;
+          hideRemoteTyping();
+          appendDelta(data.streamId, data.seq, data.delta);
+        });
+
+        // messages sent while we were offline (oldest first); ask for more until caught up
+        socket.on('messages:replay', (data, ack) => {
+          if (typeof ack === 'function') ack({ ok: true });
+          const messages = (data && data.messages) || [];
+          if (messages.filter(receiveMessage).length) {
+            hideRemoteTyping();
+            markRead();
+          }
+          if (data && data.hasMore) socket.emit('messages:sync', lastSeen());
+        });
+
+        // keep the owner's view of the current page up to date on single-page sites
+        const reportPage = () => {
+          if (socketConnected) socket.emit('visitor:page', { page: window.location.href, title: document.title });
+        };
+        window.addEventListener('popstate', reportPage);
+        window.addEventListener('hashchange', reportPage);
+
+        // delivery / read receipts for the visitor's own messages
+        socket.on('message:delivered', (data) => {
+          if (data && data.id) setMessageStatus(data.id, 'delivered');
+        });
+        socket.on('message:read', (data) => {
+          if (data && data.by === 'owner' && Array.isArray(data.messageIds)) {
+            data.messageIds.forEach(id => setMessageStatus(id, 'read'));
+          }
+        });
+
+        // owner typing / AI thinking, as reported by the server
+        socket.on('typing:start', (data) => {
+          if (data && (data.from === 'owner' || data.from === 'ai')) showRemoteTyping();
+        });
+        socket.on('typing:stop', (data) => {
+          if (data && (data.from === 'owner' || data.from === 'ai')) hideRemoteTyping();
+        });
+
         socket.on('disconnect', () => {
           socketConnected = false;
+          hideRemoteTyping();
           console.log('[chat widget] socket disconnected');
           displayDebugConfig(); // Update debug display
         });
@@ -469,7 +731,7 @@
           console.log('[chat widget] 📤 POST to:', url);
           fetch(url, { 
             method: 'POST', 
-            headers: {'Content-Type':'application/json'}, 
+            headers: Object.assign({'Content-Type':'application/json'}, visitorToken ? {'X-Visitor-Token': visitorToken} : {}), 
             body: JSON.stringify(meta) 
           }).then(r => {
             console.log('[chat widget] ✅ HTTP metadata saved, status:', r.status);
@@ -485,14 +747,17 @@
 
     async function sendMessage(message) {
       if(!message || !message.trim()) return;
-      appendMessage('user', message);
-      textarea.value = '';
-      textarea.style.height = '';
-
-      const typingEl = showTyping();
 
       // if user configured an API endpoint use it
       const cfg = window.ChatbotConfig || {};
+      const viaSocket = !cfg.apiUrl && socket && socketConnected;
+
+      const sent = appendMessage('user', message, true, viaSocket ? { clientMessageId: newClientMessageId(), status: 'sending' } : {});
+      textarea.value = '';
+      textarea.style.height = '';
+
+      // over the socket the server drives the typing bubble (owner typing / AI thinking)
+      const typingEl = viaSocket ? null : showTyping();
       try {
         if(cfg.apiUrl){
           const body = cfg.buildPayload ? cfg.buildPayload(convo.concat({role:'user', text:message})) : { message };
@@ -503,18 +768,12 @@
           const botText = (data && (data.reply || data.message || data.text)) || JSON.stringify(data);
           removeTyping(typingEl);
           appendMessage('bot', botText);
-        } else if (socket && socketConnected) {
+        } else if (viaSocket) {
           // send via socket to backend; backend will forward to owners
-          // include owner/admin id if available so server can associate owner
-          const meta = JSON.parse(localStorage.getItem(PREFIX + 'meta') || 'null');
-          const ownerId = (meta && meta.ownerId) || adminId || null;
-          
-          // Store typing indicator reference so socket event can remove it
-          pendingTypingIndicator = typingEl;
-          
-          socket.emit('message', { text: message, ownerId });
-          // Don't remove typing indicator here - wait for actual response from socket
-          // The socket 'message' event handler will remove it when response arrives
+          // (owner/admin id is included so the server can associate the owner)
+          stopTyping();
+          // the ack carries the stored message; its id links later delivery/read receipts to this bubble
+          emitPending(sent.item);
         } else {
           // fallback: simple simulated reply
           await new Promise(r => setTimeout(r, 700 + Math.random()*700));
@@ -543,12 +802,14 @@
 
     // auto-grow textarea
     textarea.addEventListener('input', () => {
+      if(textarea.value) notifyTyping();
       textarea.style.height = 'auto';
       textarea.style.height = Math.min(textarea.scrollHeight, 140) + 'px';
     });
 
     // load previous convo
     renderConvo();
+    restoreHistory();
 
     // Show loading indicator for initial welcome message if no conversation exists
     let loadingIndicator = null;
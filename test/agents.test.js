@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickAgent } = require('../functions/agents');
+
+// just enough of a MongoDB database for pickAgent: a shared round-robin counter and fixed loads
+function fakeDatabase(load = []) {
+  const counters = new Map();
+  return {
+    collection(name) {
+      if (name === 'team_settings') {
+        return {
+          async findOneAndUpdate({ _id }, update) {
+            counters.set(_id, (counters.get(_id) || 0) + update.$inc.roundRobinCounter);
+            return { _id, roundRobinCounter: counters.get(_id) };
+          },
+        };
+      }
+      return { aggregate: () => ({ toArray: async () => load }) };
+    },
+  };
+}
+
+test('round robin rotates through the agents in id order', async () => {
+  const database = fakeDatabase();
+  const picks = [];
+  for (let i = 0; i < 4; i++) picks.push(await pickAgent(database, 'owner1', 'round_robin', ['c', 'a', 'b']));
+  assert.deepEqual(picks, ['a', 'b', 'c', 'a']);
+});
+
+test('round robin keeps a separate rotation per owner', async () => {
+  const database = fakeDatabase();
+  assert.equal(await pickAgent(database, 'owner1', 'round_robin', ['a', 'b']), 'a');
+  assert.equal(await pickAgent(database, 'owner1', 'round_robin', ['a', 'b']), 'b');
+  assert.equal(await pickAgent(database, 'owner2', 'round_robin', ['a', 'b']), 'a');
+});
+
+test('round robin does not depend on the order candidates come in', async () => {
+  const database = fakeDatabase();
+  assert.equal(await pickAgent(database, 'owner1', 'round_robin', ['b', 'a']), 'a');
+  assert.equal(await pickAgent(database, 'owner1', 'round_robin', ['a', 'b']), 'b');
+});
+
+test('least busy picks the agent with the fewest open conversations', async () => {
+  const database = fakeDatabase([{ _id: 'a', count: 3 }, { _id: 'b', count: 1 }, { _id: 'c', count: 2 }]);
+  assert.equal(await pickAgent(database, 'owner1', 'least_busy', ['a', 'b', 'c']), 'b');
+});
+
+test('least busy counts agents without conversations as free and breaks ties by id', async () => {
+  const database = fakeDatabase([{ _id: 'a', count: 1 }]);
+  assert.equal(await pickAgent(database, 'owner1', 'least_busy', ['c', 'a', 'b']), 'b');
+});
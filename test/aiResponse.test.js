@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSystemPrompt } = require('../functions/aiResponse');
+
+const context = [{ text: 'Plans start at $10 a month.', metadata: { fileName: 'pricing.pdf' } }];
+
+test('without a persona the prompt keeps the original assistant and tone', () => {
+  const prompt = buildSystemPrompt([], null);
+  assert.match(prompt, /^You are a helpful and friendly AI customer service assistant\./);
+  assert.match(prompt, /Always be friendly, professional, and concise/);
+  assert.doesNotMatch(prompt, /Never discuss these topics/);
+  assert.doesNotMatch(prompt, /Additional instructions/);
+});
+
+test('knowledge-base context and website go into the prompt', () => {
+  const prompt = buildSystemPrompt(context, 'https://example.com');
+  assert.match(prompt, /\[Source 1 - pricing\.pdf\]:\nPlans start at \$10 a month\./);
+  assert.match(prompt, /Company Website: https:\/\/example\.com/);
+});
+
+test('the persona names the bot, sets the tone and adds topics and instructions', () => {
+  const prompt = buildSystemPrompt(context, null, {
+    botName: 'Ava',
+    tone: 'formal',
+    instructions: 'Mention the free trial.',
+    forbiddenTopics: ['competitors', 'legal advice'],
+  });
+  assert.match(prompt, /^You are Ava, a helpful AI customer service assistant\. Introduce yourself as Ava/);
+  assert.match(prompt, /Use a formal, courteous tone/);
+  assert.doesNotMatch(prompt, /Always be friendly/);
+  assert.match(prompt, /Never discuss these topics: competitors; legal advice\./);
+  assert.match(prompt, /Additional instructions from the company:\nMention the free trial\.$/);
+});
+
+test('empty persona fields leave their parts out', () => {
+  const prompt = buildSystemPrompt([], null, { botName: null, tone: 'unknown', instructions: '', forbiddenTopics: [] });
+  assert.equal(prompt, buildSystemPrompt([], null));
+});
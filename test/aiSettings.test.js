@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isWithinBusinessHours, autoResumeAllowed, parseAutoResume, parsePersona } = require('../functions/aiSettings');
+
+// 2025-03-03 is a Monday
+const officeHours = {
+  timezone: 'UTC',
+  days: {
+    mon: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }],
+    sat: [{ start: '10:00', end: '14:00' }],
+  },
+};
+
+test('checks the time against the ranges of that weekday', () => {
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T09:00:00Z')), true);
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T16:59:00Z')), true);
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T08:59:00Z')), false);
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-08T11:00:00Z')), true);
+});
+
+test('range ends are exclusive and gaps between ranges are closed', () => {
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T12:00:00Z')), false);
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T12:30:00Z')), false);
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-03T17:00:00Z')), false);
+});
+
+test('days without ranges are closed', () => {
+  assert.equal(isWithinBusinessHours(officeHours, new Date('2025-03-04T10:00:00Z')), false);
+  assert.equal(isWithinBusinessHours({ timezone: 'UTC' }, new Date('2025-03-03T10:00:00Z')), false);
+});
+
+test('uses the owner timezone for both the weekday and the time', () => {
+  const tokyo = { timezone: 'Asia/Tokyo', days: { mon: [{ start: '08:00', end: '17:00' }] } };
+  // Sunday 23:30 UTC is Monday 08:30 in Tokyo
+  assert.equal(isWithinBusinessHours(tokyo, new Date('2025-03-02T23:30:00Z')), true);
+  assert.equal(isWithinBusinessHours(tokyo, new Date('2025-03-03T10:00:00Z')), false);
+
+  const newYork = { timezone: 'America/New_York', days: { mon: [{ start: '09:00', end: '17:00' }] } };
+  assert.equal(isWithinBusinessHours(newYork, new Date('2025-03-03T14:30:00Z')), true);
+  assert.equal(isWithinBusinessHours(newYork, new Date('2025-03-03T13:30:00Z')), false);
+});
+
+test('auto-resume follows the policy', () => {
+  const monday = new Date('2025-03-03T10:00:00Z');
+  const sunday = new Date('2025-03-02T10:00:00Z');
+  assert.equal(autoResumeAllowed({ enabled: false, when: 'always', businessHours: officeHours }, sunday), false);
+  assert.equal(autoResumeAllowed({ enabled: true, when: 'always', businessHours: officeHours }, monday), true);
+  const offHours = { enabled: true, when: 'outside_business_hours', businessHours: officeHours };
+  assert.equal(autoResumeAllowed(offHours, monday), false);
+  assert.equal(autoResumeAllowed(offHours, sunday), true);
+});
+
+test('auto-resume is off until the owner turns it on', () => {
+  assert.equal(parseAutoResume().enabled, false);
+  assert.equal(parseAutoResume({ enabled: true }).enabled, true);
+});
+
+test('a business-hours range may end at 24:00', () => {
+  const lateShift = { timezone: 'UTC', days: { mon: [{ start: '18:00', end: '24:00' }] } };
+  const policy = parseAutoResume({ when: 'outside_business_hours', businessHours: lateShift });
+  assert.deepEqual(policy.businessHours.days.mon, [{ start: '18:00', end: '24:00' }]);
+  assert.equal(isWithinBusinessHours(policy.businessHours, new Date('2025-03-03T23:59:00Z')), true);
+  assert.equal(isWithinBusinessHours(policy.businessHours, new Date('2025-03-04T00:00:00Z')), false);
+  assert.throws(() => parseAutoResume({ businessHours: { days: { mon: [{ start: '24:00', end: '24:00' }] } } }), { statusCode: 400 });
+  assert.throws(() => parseAutoResume({ businessHours: { days: { mon: [{ start: '09:00', end: '24:30' }] } } }), { statusCode: 400 });
+});
+
+test('persona starts from the defaults and merges changes over the current one', () => {
+  assert.deepEqual(parsePersona(), {
+    botName: null, tone: 'friendly', instructions: '', forbiddenTopics: [], temperature: 0.7, maxTokens: 500,
+  });
+  const current = parsePersona({ botName: 'Ava', tone: 'casual' });
+  const persona = parsePersona({ instructions: '  Mention the free trial.  ' }, current);
+  assert.equal(persona.botName, 'Ava');
+  assert.equal(persona.tone, 'casual');
+  assert.equal(persona.instructions, 'Mention the free trial.');
+});
+
+test('persona fields are held to their length limits', () => {
+  assert.equal(parsePersona({ botName: 'a'.repeat(50) }).botName.length, 50);
+  assert.throws(() => parsePersona({ botName: 'a'.repeat(51) }), { statusCode: 400 });
+  assert.equal(parsePersona({ instructions: 'a'.repeat(2000) }).instructions.length, 2000);
+  assert.throws(() => parsePersona({ instructions: 'a'.repeat(2001) }), { statusCode: 400 });
+  const topics = Array.from({ length: 20 }, (_, i) => `topic ${i}`);
+  assert.equal(parsePersona({ forbiddenTopics: topics }).forbiddenTopics.length, 20);
+  assert.throws(() => parsePersona({ forbiddenTopics: [...topics, 'one more'] }), { statusCode: 400 });
+  assert.throws(() => parsePersona({ forbiddenTopics: ['a'.repeat(101)] }), { statusCode: 400 });
+  assert.throws(() => parsePersona({ tone: 'sarcastic' }), { statusCode: 400 });
+});
+
+test('empty persona fields fall back to no value', () => {
+  const current = parsePersona({ botName: 'Ava', instructions: 'Be brief.', forbiddenTopics: ['pricing'] });
+  const persona = parsePersona({ botName: '   ', instructions: null, forbiddenTopics: [' ', ''] }, current);
+  assert.equal(persona.botName, null);
+  assert.equal(persona.instructions, '');
+  assert.deepEqual(persona.forbiddenTopics, []);
+  assert.deepEqual(parsePersona({ forbiddenTopics: ['pricing', ' pricing ', 'refunds'] }).forbiddenTopics, ['pricing', 'refunds']);
+});
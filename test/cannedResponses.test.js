@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../functions/cannedResponses');
+
+const variables = {
+  username: 'Ada',
+  useremail: 'ada@example.com',
+  userphone: null,
+  companyWebsite: 'https://acme.example.com',
+};
+
+test('fills in known variables', () => {
+  assert.equal(
+    renderTemplate('Hi {{username}}, we will write to {{useremail}}. See {{companyWebsite}}', variables),
+    'Hi Ada, we will write to ada@example.com. See https://acme.example.com'
+  );
+});
+
+test('allows spaces inside the braces', () => {
+  assert.equal(renderTemplate('Hi {{ username }}!', variables), 'Hi Ada!');
+});
+
+test('renders missing values as an empty string', () => {
+  assert.equal(renderTemplate('Phone: {{userphone}}.', variables), 'Phone: .');
+  assert.equal(renderTemplate('Hi {{username}}', {}), 'Hi ');
+});
+
+test('drops unknown variables instead of leaking other values', () => {
+  assert.equal(renderTemplate('{{password}}{{constructor}}done', { password: 'secret', ...variables }), 'done');
+});
+
+test('leaves text without placeholders and malformed braces alone', () => {
+  assert.equal(renderTemplate('No variables here', variables), 'No variables here');
+  assert.equal(renderTemplate('{username} {{user-name}}', variables), '{username} {{user-name}}');
+});
+
+test('keeps falsy values that are not missing', () => {
+  assert.equal(renderTemplate('{{username}}', { username: 0 }), '0');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSnoozedUntil } = require('../functions/conversationStatus');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function assertBadRequest(fn, message) {
+  assert.throws(fn, error => error.statusCode === 400 && message.test(error.message));
+}
+
+test('accepts an ISO date in the future', () => {
+  const until = new Date(Date.now() + HOUR);
+  assert.equal(parseSnoozedUntil(until.toISOString()).getTime(), until.getTime());
+});
+
+test('accepts epoch milliseconds as a number or a digit string', () => {
+  const until = Date.now() + DAY;
+  assert.equal(parseSnoozedUntil(until).getTime(), until);
+  assert.equal(parseSnoozedUntil(String(until)).getTime(), until);
+});
+
+test('requires a value', () => {
+  for (const value of [undefined, null, '']) assertBadRequest(() => parseSnoozedUntil(value), /is required/);
+});
+
+test('rejects values that are not dates', () => {
+  assertBadRequest(() => parseSnoozedUntil('next tuesday-ish'), /must be a date/);
+});
+
+test('rejects deadlines that already passed', () => {
+  assertBadRequest(() => parseSnoozedUntil(Date.now() - 1000), /in the future/);
+});
+
+test('rejects deadlines more than 90 days away', () => {
+  assertBadRequest(() => parseSnoozedUntil(Date.now() + 91 * DAY), /too far/);
+  assert.ok(parseSnoozedUntil(Date.now() + 89 * DAY) instanceof Date);
+});
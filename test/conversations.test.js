@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMessageCursor, encodeMessageCursor } = require('../functions/conversations');
+
+const message = { id: '65f1c0ffee0000000000abcd', ts: 1735689600000, from: 'ai', text: 'Hi' };
+
+test('a message cursor keeps both the timestamp and the message id', () => {
+  assert.deepEqual(parseMessageCursor(encodeMessageCursor(message)), { ts: message.ts, id: message.id });
+});
+
+test('plain dates are still accepted as before', () => {
+  assert.deepEqual(parseMessageCursor(String(message.ts)), { ts: message.ts, id: null });
+  assert.deepEqual(parseMessageCursor('2025-01-01T00:00:00.000Z'), { ts: message.ts, id: null });
+});
+
+test('no before means the newest page', () => {
+  assert.equal(parseMessageCursor(undefined), null);
+  assert.equal(parseMessageCursor(''), null);
+});
+
+test('invalid cursors are rejected', () => {
+  const badId = Buffer.from(JSON.stringify({ ts: message.ts, id: 'nope' })).toString('base64url');
+  for (const value of ['garbage', badId]) {
+    assert.throws(() => parseMessageCursor(value), error => error.statusCode === 400 && /before must be a date/.test(error.message));
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateEscalation, asksForHuman, negativeScore, countRephrasings } = require('../functions/escalation');
+
+test('recognises requests for a person', () => {
+  for (const text of [
+    'Can I talk to a human?',
+    'please connect me with a live agent',
+    'I want to speak to someone',
+    'real person please',
+    'Agent please',
+    'could I get a representative',
+    'you are not a bot, right?',
+    "you're not a robot?",
+    'Are you not an AI?',
+    'human',
+  ]) {
+    assert.equal(asksForHuman(text), true, text);
+  }
+});
+
+test('does not mistake ordinary questions for human requests', () => {
+  for (const text of [
+    'How do humans use your product?',
+    'Which agent plan do I need?',
+    'Tell me about your team pricing',
+    'What are your opening hours?',
+    'How do I connect my app to your support portal?',
+    'Can I chat with the team inbox from mobile?',
+    'How do I transfer files to your staff accounts?',
+    "I'm not a robot, the captcha fails",
+    'The captcha says I am not a human',
+    'Is this not an AI feature?',
+  ]) {
+    assert.equal(asksForHuman(text), false, text);
+  }
+});
+
+test('scores frustration', () => {
+  assert.equal(negativeScore('What are your opening hours?'), 0);
+  assert.equal(negativeScore('Hello there'), 0);
+  assert.ok(negativeScore('This is useless, I am so frustrated') >= 4);
+  assert.ok(negativeScore('it is not working!!!') >= 3);
+});
+
+test('counts shouting only in longer messages', () => {
+  assert.equal(negativeScore('WHERE IS MY ORDER'), 2);
+  assert.equal(negativeScore('OK THANKS'), 0);
+});
+
+test('counts recent visitor messages that ask the same thing', () => {
+  const history = [
+    { from: 'user', text: 'How do I reset my password?' },
+    { from: 'ai', text: 'Open settings and choose reset password.' },
+    { from: 'user', text: 'How can I reset the password?' },
+    { from: 'user', text: 'What are your prices?' },
+  ];
+  assert.equal(countRephrasings('reset my password how', history), 2);
+  assert.equal(countRephrasings('Do you ship to Canada?', history), 0);
+});
+
+test('only looks at the last few visitor messages', () => {
+  const history = [
+    { from: 'user', text: 'reset password' },
+    { from: 'user', text: 'reset password' },
+    { from: 'user', text: 'shipping' },
+    { from: 'user', text: 'prices' },
+    { from: 'user', text: 'refunds' },
+    { from: 'user', text: 'opening hours' },
+  ];
+  assert.equal(countRephrasings('reset password', history), 0);
+});
+
+test('escalates with the first matching reason', () => {
+  assert.equal(evaluateEscalation({ text: 'This is useless, let me talk to a human' }).reason, 'visitor_request');
+  assert.equal(evaluateEscalation({ text: 'This is useless and ridiculous' }).reason, 'negative_sentiment');
+  const history = [
+    { from: 'user', text: 'How do I reset my password?' },
+    { from: 'user', text: 'how to reset password' },
+  ];
+  const repeated = evaluateEscalation({ text: 'reset password?', history });
+  assert.deepEqual(repeated, { reason: 'repeated_question', detail: 'The visitor asked this 3 times' });
+});
+
+test('escalates on low knowledge-base relevance only when matches were searched and found', () => {
+  const text = 'Do you ship to Canada?';
+  assert.equal(evaluateEscalation({ text, context: [{ score: 0.1 }, { score: 0.2 }] }).reason, 'low_confidence');
+  assert.equal(evaluateEscalation({ text, context: [{ score: 0.1 }, { score: 0.8 }] }), null);
+  assert.equal(evaluateEscalation({ text, context: [] }), null);
+  assert.equal(evaluateEscalation({ text, context: null }), null);
+});
+
+test('ignores empty messages', () => {
+  assert.equal(evaluateEscalation({ text: '   ' }), null);
+  assert.equal(evaluateEscalation({ text: undefined }), null);
+});
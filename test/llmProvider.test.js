@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// a local server standing in for the provider APIs; each test sets how it answers
+let respond = null;
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+    requests.push(request);
+    respond(request, res);
+  });
+});
+
+function json(data) {
+  return (request, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+}
+
+function eventStream(events) {
+  return (request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+    res.end();
+  };
+}
+
+let llm;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'openai_compatible',
+    OPENAI_COMPATIBLE_BASE_URL: `${baseUrl}/v1/`,
+    OPENAI_COMPATIBLE_CHAT_MODEL: 'local-chat',
+    OPENAI_COMPATIBLE_EMBEDDING_MODEL: 'local-embed',
+    ANTHROPIC_API_KEY: 'test-key',
+    ANTHROPIC_BASE_URL: baseUrl,
+    ANTHROPIC_CHAT_MODEL: 'claude-test',
+    // set empty so a developer's .env cannot fill them in (dotenv keeps existing variables)
+    OPENAI_COMPATIBLE_API_KEY: '',
+    EMBEDDING_PROVIDER: '',
+    EMBEDDING_DIMENSIONS: '',
+    AZURE_OPENAI_ENDPOINT: '',
+  });
+  llm = require('../functions/llmProvider');
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('toAnthropicMessages moves system prompts out and merges consecutive turns', () => {
+  assert.deepEqual(llm.toAnthropicMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'assistant', content: 'Hi! How can I help?' },
+    { role: 'user', content: 'Hello' },
+    { role: 'user', content: 'Are you there?' },
+    { role: 'system', content: 'Answer in English.' },
+    { role: 'assistant', content: 'Yes.' },
+  ]), {
+    system: 'Be brief.\n\nAnswer in English.',
+    messages: [
+      { role: 'user', content: 'Hello\n\nAre you there?' },
+      { role: 'assistant', content: 'Yes.' },
+    ],
+  });
+});
+
+test('toAnthropicMessages returns an empty system prompt when there is none', () => {
+  assert.deepEqual(llm.toAnthropicMessages([{ role: 'user', content: 'Hi' }]), {
+    system: '',
+    messages: [{ role: 'user', content: 'Hi' }],
+  });
+});
+
+test('getProvider rejects unknown and unconfigured providers', () => {
+  assert.throws(() => llm.getProvider('nope'), /Unknown LLM provider: nope/);
+  assert.throws(() => llm.getProvider('azure'), /azure is not configured/);
+});
+
+test('chatCompletion sends OpenAI-style requests to the default provider', async () => {
+  respond = json({ choices: [{ message: { content: 'Hello there' } }] });
+  const answer = await llm.chatCompletion([{ role: 'user', content: 'Hi' }], { temperature: 0, maxTokens: 50 });
+
+  assert.equal(answer, 'Hello there');
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, undefined);
+  assert.deepEqual(request.body, {
+    model: 'local-chat',
+    messages: [{ role: 'user', content: 'Hi' }],
+    temperature: 0,
+    max_tokens: 50,
+    stream: false,
+  });
+});
+
+test('chatCompletion streams chunks to onDelta and returns the whole answer', async () => {
+  respond = eventStream([
+    { choices: [{ delta: { role: 'assistant' } }] },
+    { choices: [{ delta: { content: 'Hel' } }] },
+    { choices: [{ delta: { content: 'lo' } }] },
+    { choices: [], usage: { total_tokens: 3 } },
+    '[DONE]',
+  ]);
+  const deltas = [];
+  const answer = await llm.chatCompletion([{ role: 'user', content: 'Hi' }], { onDelta: delta => deltas.push(delta) });
+
+  assert.equal(answer, 'Hello');
+  assert.deepEqual(deltas, ['Hel', 'lo']);
+  assert.equal(requests[0].body.stream, true);
+});
+
+test('a failing onDelta does not break the stream', async () => {
+  respond = eventStream([{ choices: [{ delta: { content: 'ok' } }] }, '[DONE]']);
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const answer = await llm.chatCompletion([{ role: 'user', content: 'Hi' }], { onDelta: () => { throw new Error('socket gone'); } });
+    assert.equal(answer, 'ok');
+  } finally {
+    console.error = original;
+  }
+});
+
+test('API errors carry the provider, status and body', async () => {
+  respond = (request, res) => {
+    res.writeHead(429);
+    res.end('slow down');
+  };
+  await assert.rejects(llm.chatCompletion([{ role: 'user', content: 'Hi' }]), /openai_compatible API error: 429 slow down/);
+});
+
+test('createEmbedding uses the embedding model of the default provider', async () => {
+  respond = json({ data: [{ embedding: [0.1, 0.2, 0.3] }] });
+  assert.deepEqual(await llm.createEmbedding('some text'), [0.1, 0.2, 0.3]);
+  assert.equal(requests[0].url, '/v1/embeddings');
+  assert.deepEqual(requests[0].body, { model: 'local-embed', input: 'some text' });
+});
+
+test('the anthropic adapter sends the system prompt separately', async () => {
+  respond = json({ content: [{ type: 'text', text: 'Bonjour' }, { type: 'tool_use' }, { type: 'text', text: '!' }] });
+  const answer = await llm.chatCompletion(
+    [{ role: 'system', content: 'Answer in French.' }, { role: 'user', content: 'Hello' }],
+    { provider: 'anthropic' }
+  );
+
+  assert.equal(answer, 'Bonjour!');
+  const [request] = requests;
+  assert.equal(request.url, '/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'test-key');
+  assert.equal(request.headers['anthropic-version'], '2023-06-01');
+  assert.equal(request.body.model, 'claude-test');
+  assert.equal(request.body.system, 'Answer in French.');
+  assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Hello' }]);
+});
+
+test('the anthropic adapter streams text deltas', async () => {
+  respond = eventStream([
+    { type: 'message_start' },
+    { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Bon' } },
+    { type: 'ping' },
+    { type: 'content_block_delta', delta: { type: 'text_delta', text: 'jour' } },
+    { type: 'message_stop' },
+  ]);
+  const deltas = [];
+  const answer = await llm.chatCompletion([{ role: 'user', content: 'Hello' }], {
+    provider: 'anthropic',
+    onDelta: delta => deltas.push(delta),
+  });
+
+  assert.equal(answer, 'Bonjour');
+  assert.deepEqual(deltas, ['Bon', 'jour']);
+});
+
+test('the anthropic adapter has no embeddings', async () => {
+  await assert.rejects(llm.getProvider('anthropic').embed('text'), /anthropic has no embeddings API/);
+});
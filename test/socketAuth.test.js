@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+
+// set before loading so a developer's .env cannot change the secrets (dotenv keeps existing variables)
+process.env.VISITOR_TOKEN_SECRET = 'test-visitor-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+const {
+  signVisitorToken,
+  verifyVisitorToken,
+  createVisitorAuthMiddleware,
+  signAgentToken,
+  verifyOwnerToken,
+  createAgentAuthMiddleware,
+} = require('../functions/socketAuth');
+
+const HOUR = 60 * 60 * 1000;
+
+function visitorSocket({ query = {}, auth = {} } = {}) {
+  return { id: 'socket1', handshake: { query: { role: 'user', ...query }, auth }, data: {} };
+}
+
+// runs the middleware and resolves with the error it passed to next (undefined on success)
+function authenticate(middleware, socket) {
+  return new Promise(resolve => middleware(socket, resolve));
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return Promise.resolve().then(fn).finally(() => { console.log = log; });
+}
+
+test('a valid token identifies the visitor and its owner', () => {
+  const token = signVisitorToken('u_1', 'owner1');
+  const claims = verifyVisitorToken('u_1', token, { ownerId: 'owner1' });
+  assert.equal(claims.ownerId, 'owner1');
+  assert.ok(claims.expiresAt > Date.now());
+});
+
+test('a token is only valid for the visitor it was issued for', () => {
+  assert.equal(verifyVisitorToken('u_2', signVisitorToken('u_1', 'owner1')), null);
+});
+
+test('tampered tokens are rejected', () => {
+  const [payload, signature] = signVisitorToken('u_1', 'owner1').split('.');
+  const otherOwner = Buffer.from(JSON.stringify({ o: 'owner2', e: Date.now() + HOUR })).toString('base64url');
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+  for (const token of [`${otherOwner}.${signature}`, `${payload}.${flipped}`, `${payload}.${signature}.x`, payload, '', 'not-a-token']) {
+    assert.equal(verifyVisitorToken('u_1', token), null, token);
+  }
+});
+
+test('expired tokens are rejected', () => {
+  assert.equal(verifyVisitorToken('u_1', signVisitorToken('u_1', 'owner1', Date.now() - 1000)), null);
+  assert.ok(verifyVisitorToken('u_1', signVisitorToken('u_1', 'owner1', Date.now() + HOUR)));
+});
+
+test('tokens issued for another owner are rejected', () => {
+  const token = signVisitorToken('u_1', 'owner1');
+  assert.equal(verifyVisitorToken('u_1', token, { ownerId: 'owner2' }), null);
+  // a token issued before the owner was known fits any owner
+  assert.ok(verifyVisitorToken('u_1', signVisitorToken('u_1', null), { ownerId: 'owner2' }));
+});
+
+test('old tokens without owner or expiry are still accepted', () => {
+  const legacy = crypto.createHmac('sha256', 'test-visitor-secret').update('visitor:u_1').digest('hex');
+  assert.deepEqual(verifyVisitorToken('u_1', legacy), { ownerId: null, expiresAt: null });
+  assert.equal(verifyVisitorToken('u_2', legacy), null);
+});
+
+test('the middleware accepts a valid token and renews it', async () => {
+  const middleware = createVisitorAuthMiddleware({ isKnownVisitor: async () => true, getVisitorOwner: async () => 'owner1' });
+  const socket = visitorSocket({ query: { ownerId: 'owner1' }, auth: { userId: 'u_1', visitorToken: signVisitorToken('u_1', 'owner1') } });
+  assert.equal(await authenticate(middleware, socket), undefined);
+  assert.equal(socket.data.visitorId, 'u_1');
+  assert.equal(socket.data.visitorOwnerId, 'owner1');
+  assert.equal(verifyVisitorToken('u_1', socket.data.issuedVisitorToken).ownerId, 'owner1');
+});
+
+test('the middleware rejects tampered, expired and other owners\' tokens', async () => {
+  const middleware = createVisitorAuthMiddleware({ isKnownVisitor: async () => true, getVisitorOwner: async () => null });
+  const tokens = [
+    signVisitorToken('u_2', 'owner1'),
+    signVisitorToken('u_1', 'owner1', Date.now() - 1000),
+    signVisitorToken('u_1', 'owner2'),
+  ];
+  for (const visitorToken of tokens) {
+    const socket = visitorSocket({ query: { ownerId: 'owner1' }, auth: { userId: 'u_1', visitorToken } });
+    const error = await quietly(() => authenticate(middleware, socket));
+    assert.equal(error.data.code, 'VISITOR_TOKEN_INVALID');
+    assert.equal(socket.data.visitorId, undefined);
+  }
+});
+
+test('the middleware binds ownerless tokens to the owner of the visitor\'s chat', async () => {
+  const legacy = crypto.createHmac('sha256', 'test-visitor-secret').update('visitor:u_1').digest('hex');
+  const middleware = createVisitorAuthMiddleware({ isKnownVisitor: async () => true, getVisitorOwner: async () => 'owner1' });
+
+  const sameOwner = visitorSocket({ query: { ownerId: 'owner1' }, auth: { userId: 'u_1', visitorToken: legacy } });
+  assert.equal(await authenticate(middleware, sameOwner), undefined);
+  assert.equal(sameOwner.data.visitorOwnerId, 'owner1');
+  assert.equal(verifyVisitorToken('u_1', sameOwner.data.issuedVisitorToken).ownerId, 'owner1');
+
+  const otherOwner = visitorSocket({ query: { ownerId: 'owner2' }, auth: { userId: 'u_1', visitorToken: legacy } });
+  const error = await quietly(() => authenticate(middleware, otherOwner));
+  assert.equal(error.data.code, 'VISITOR_TOKEN_INVALID');
+});
+
+test('the middleware issues a new id for unsigned claims on existing visitors', async () => {
+  const middleware = createVisitorAuthMiddleware({ isKnownVisitor: async id => id === 'u_1', getVisitorOwner: async () => null });
+
+  const taken = visitorSocket({ query: { ownerId: 'owner1' }, auth: { userId: 'u_1' } });
+  assert.equal(await quietly(() => authenticate(middleware, taken)), undefined);
+  assert.notEqual(taken.data.visitorId, 'u_1');
+  assert.match(taken.data.visitorId, /^u_[0-9a-f]{16}$/);
+  assert.equal(taken.data.visitorOwnerId, 'owner1');
+
+  const fresh = visitorSocket({ query: { ownerId: 'owner1' }, auth: { userId: 'u_new' } });
+  assert.equal(await authenticate(middleware, fresh), undefined);
+  assert.equal(fresh.data.visitorId, 'u_new');
+  assert.ok(verifyVisitorToken('u_new', fresh.data.issuedVisitorToken, { ownerId: 'owner1' }));
+});
+
+test('owner connections pass through untouched', async () => {
+  const middleware = createVisitorAuthMiddleware({ isKnownVisitor: async () => true, getVisitorOwner: async () => null });
+  const socket = visitorSocket({ query: { role: 'owner' } });
+  assert.equal(await authenticate(middleware, socket), undefined);
+  assert.deepEqual(socket.data, {});
+});
+
+test('owner tokens identify the owner', () => {
+  const claims = verifyOwnerToken(jwt.sign({ userId: 'owner1' }, 'test-jwt-secret'));
+  assert.equal(claims.userId, 'owner1');
+  assert.equal(claims.agentId, undefined);
+});
+
+test('agent tokens carry the agent audience and no userId claim', () => {
+  const token = signAgentToken('owner1', 'agent1');
+  const raw = jwt.decode(token);
+  assert.equal(raw.aud, 'agent');
+  assert.equal(raw.userId, undefined);
+
+  const claims = verifyOwnerToken(token);
+  assert.equal(claims.userId, 'owner1');
+  assert.equal(claims.agentId, 'agent1');
+});
+
+test('agent claims without the agent audience are refused', () => {
+  const token = jwt.sign({ userId: 'owner1', agentId: 'agent1' }, 'test-jwt-secret');
+  assert.throws(() => verifyOwnerToken(token), error => error.data.code === 'TOKEN_INVALID');
+  const otherSecret = jwt.sign({ ownerId: 'owner1', agentId: 'agent1' }, 'another-secret', { audience: 'agent' });
+  assert.throws(() => verifyOwnerToken(otherSecret), error => error.data.code === 'TOKEN_INVALID');
+});
+
+test('the agent middleware resolves active agents of agent-audience tokens only', async () => {
+  const middleware = createAgentAuthMiddleware({
+    getAgent: async (ownerId, agentId) => (agentId === 'agent1' ? { id: 'agent1', role: 'agent', active: true } : null),
+  });
+
+  const socket = { id: 'socket1', data: { ownerUserId: 'owner1', auth: verifyOwnerToken(signAgentToken('owner1', 'agent1')) } };
+  assert.equal(await authenticate(middleware, socket), undefined);
+  assert.equal(socket.data.agentId, 'agent1');
+  assert.equal(socket.data.agentRole, 'agent');
+
+  const unknown = { id: 'socket2', data: { ownerUserId: 'owner1', auth: verifyOwnerToken(signAgentToken('owner1', 'agent2')) } };
+  assert.equal((await quietly(() => authenticate(middleware, unknown))).data.code, 'AGENT_INACTIVE');
+
+  const noAudience = { id: 'socket3', data: { ownerUserId: 'owner1', auth: { userId: 'owner1', agentId: 'agent1' } } };
+  assert.equal((await quietly(() => authenticate(middleware, noAudience))).data.code, 'TOKEN_INVALID');
+});
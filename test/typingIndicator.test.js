@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createTypingTracker } = require('../functions/typingIndicator');
+
+function recordingTracker(options = {}) {
+  const events = [];
+  const tracker = createTypingTracker({ emit: (target, event, payload) => events.push({ target, event, payload }), ...options });
+  return { tracker, events };
+}
+
+test('forwards the first start and throttles repeats', () => {
+  const { tracker, events } = recordingTracker({ throttleMs: 60000 });
+  tracker.start('room', { userId: 'u1', from: 'visitor' });
+  tracker.start('room', { userId: 'u1', from: 'visitor' });
+  assert.deepEqual(events.map(e => e.event), ['typing:start']);
+  assert.equal(tracker.isTyping({ userId: 'u1', from: 'visitor' }), true);
+  tracker.stop({ userId: 'u1', from: 'visitor' });
+});
+
+test('forwards starts again once the throttle window passed', async () => {
+  const { tracker, events } = recordingTracker({ throttleMs: 10 });
+  tracker.start('room', { userId: 'u1', from: 'owner' });
+  await sleep(20);
+  tracker.start('room', { userId: 'u1', from: 'owner' });
+  assert.deepEqual(events.map(e => e.event), ['typing:start', 'typing:start']);
+  tracker.stop({ userId: 'u1', from: 'owner' });
+});
+
+test('tracks each typist separately', () => {
+  const { tracker, events } = recordingTracker({ throttleMs: 60000 });
+  tracker.start('a', { userId: 'u1', from: 'visitor' });
+  tracker.start('b', { userId: 'u1', from: 'owner' });
+  tracker.start('c', { userId: 'u2', from: 'visitor' });
+  assert.equal(events.length, 3);
+  tracker.stop({ userId: 'u1', from: 'visitor' });
+  assert.equal(tracker.isTyping({ userId: 'u1', from: 'visitor' }), false);
+  assert.equal(tracker.isTyping({ userId: 'u1', from: 'owner' }), true);
+  tracker.stop({ userId: 'u1', from: 'owner' });
+  tracker.stop({ userId: 'u2', from: 'visitor' });
+});
+
+test('stop emits typing:stop to the last target only while typing', () => {
+  const { tracker, events } = recordingTracker();
+  tracker.stop({ userId: 'u1', from: 'visitor' });
+  assert.equal(events.length, 0);
+  tracker.start('first', { userId: 'u1', from: 'visitor', extra: true });
+  tracker.start('second', { userId: 'u1', from: 'visitor' });
+  tracker.stop({ userId: 'u1', from: 'visitor' });
+  assert.deepEqual(events[events.length - 1], {
+    target: 'second',
+    event: 'typing:stop',
+    payload: { userId: 'u1', from: 'visitor' },
+  });
+});
+
+test('expires a typist that goes quiet', async () => {
+  const { tracker, events } = recordingTracker({ expireMs: 10 });
+  tracker.start('room', { userId: 'u1', from: 'visitor' });
+  await sleep(30);
+  assert.deepEqual(events.map(e => e.event), ['typing:start', 'typing:stop']);
+  assert.equal(tracker.isTyping({ userId: 'u1', from: 'visitor' }), false);
+});
+
+test('a new start pushes the expiry back', async () => {
+  const { tracker, events } = recordingTracker({ expireMs: 60 });
+  tracker.start('room', { userId: 'u1', from: 'visitor' });
+  await sleep(40);
+  tracker.start('room', { userId: 'u1', from: 'visitor' });
+  await sleep(40);
+  assert.equal(tracker.isTyping({ userId: 'u1', from: 'visitor' }), true);
+  await sleep(60);
+  assert.deepEqual(events.map(e => e.event), ['typing:start', 'typing:stop']);
+});
+
+test('a per-call expireMs overrides the default', async () => {
+  const { tracker, events } = recordingTracker({ expireMs: 10 });
+  tracker.start('room', { userId: 'ai', from: 'ai' }, { expireMs: 60000 });
+  await sleep(30);
+  assert.equal(tracker.isTyping({ userId: 'ai', from: 'ai' }), true);
+  tracker.stop({ userId: 'ai', from: 'ai' });
+  assert.deepEqual(events.map(e => e.event), ['typing:start', 'typing:stop']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { coerceAttributeValue } = require('../functions/visitorAttributes');
+
+function assertBadRequest(fn, message) {
+  assert.throws(fn, error => error.statusCode === 400 && message.test(error.message));
+}
+
+test('number: accepts numbers and numeric strings', () => {
+  const definition = { key: 'seats', type: 'number' };
+  assert.equal(coerceAttributeValue(definition, 10), 10);
+  assert.equal(coerceAttributeValue(definition, ' 2.5 '), 2.5);
+  for (const value of ['', '  ', 'ten', NaN, Infinity, true, null]) {
+    assertBadRequest(() => coerceAttributeValue(definition, value), /seats must be a number/);
+  }
+});
+
+test('boolean: accepts booleans and their string forms only', () => {
+  const definition = { key: 'vip', type: 'boolean' };
+  assert.equal(coerceAttributeValue(definition, true), true);
+  assert.equal(coerceAttributeValue(definition, 'false'), false);
+  for (const value of ['yes', 1, 0, '']) {
+    assertBadRequest(() => coerceAttributeValue(definition, value), /vip must be true or false/);
+  }
+});
+
+test('date: accepts ISO strings and epoch milliseconds', () => {
+  const definition = { key: 'renewal', type: 'date' };
+  const iso = '2025-03-01T12:00:00.000Z';
+  const ms = Date.parse(iso);
+  assert.equal(coerceAttributeValue(definition, iso).getTime(), ms);
+  assert.equal(coerceAttributeValue(definition, ms).getTime(), ms);
+  assert.equal(coerceAttributeValue(definition, String(ms)).getTime(), ms);
+  assertBadRequest(() => coerceAttributeValue(definition, 'soon'), /renewal must be a date/);
+});
+
+test('select: accepts one of the options', () => {
+  const definition = { key: 'plan', type: 'select', options: ['free', 'pro'] };
+  assert.equal(coerceAttributeValue(definition, 'pro'), 'pro');
+  assertBadRequest(() => coerceAttributeValue(definition, 'enterprise'), /plan must be one of: free, pro/);
+});
+
+test('text: stringifies numbers and caps the length', () => {
+  const definition = { key: 'company', type: 'text' };
+  assert.equal(coerceAttributeValue(definition, 'Acme'), 'Acme');
+  assert.equal(coerceAttributeValue(definition, 42), '42');
+  assert.equal(coerceAttributeValue(definition, 'x'.repeat(600)).length, 500);
+  for (const value of [null, {}, ['a'], true]) {
+    assertBadRequest(() => coerceAttributeValue(definition, value), /company must be text/);
+  }
+});